@@ -1,6 +1,7 @@
 const express = require("express");
 const cors = require("cors");
 const analysisRoutes = require("./routes/analysis.routes");
+const resumeRoutes = require("./routes/resume.routes");
 
 const app = express();
 
@@ -28,6 +29,7 @@ app.use(
 app.use(express.json());
 
 app.use("/api/analysis", analysisRoutes);
+app.use("/api/resume", resumeRoutes);
 
 module.exports = app;
 
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+/**
+ * Connect to MongoDB when MONGODB_URI is set.
+ * Without it, analyses are kept in the in-process store.
+ */
+async function connectDatabase(uri = process.env.MONGODB_URI) {
+  if (!uri) {
+    console.log("MONGODB_URI not set, using in-memory analysis store");
+    return false;
+  }
+
+  await mongoose.connect(uri);
+  console.log("Connected to MongoDB");
+  return true;
+}
+
+module.exports = { connectDatabase };
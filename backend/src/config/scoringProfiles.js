@@ -0,0 +1,197 @@
+// Named scoring profiles: component weights, match thresholds and score adjustments
+const fs = require('fs');
+const path = require('path');
+const { createHttpError } = require('../utils/errors');
+
+const DEFAULT_PROFILES_PATH = path.join(__dirname, 'scoringProfiles.json');
+
+// Components every profile must weight; weights have to sum to 1
+const WEIGHT_COMPONENTS = [
+  'skillMatch',
+  'requiredMatch',
+  'demonstration',
+  'structure',
+  'metrics',
+  'experience',
+  'education',
+  'seniority',
+  'contact',
+  'relevance'
+];
+
+const WEIGHT_SUM_TOLERANCE = 0.001;
+
+let cachedProfiles = null;
+
+/**
+ * Load and validate profiles from SCORING_PROFILES_PATH or the bundled file
+ */
+function loadScoringProfiles(filePath = process.env.SCORING_PROFILES_PATH || DEFAULT_PROFILES_PATH) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (!raw.default) {
+    throw new Error(`Scoring profiles file ${filePath} must define a "default" profile`);
+  }
+
+  const profiles = {};
+  Object.entries(raw).forEach(([name, profile]) => {
+    // Profiles in the file may leave out settings they share with "default"
+    const merged = name === 'default' ? profile : mergeProfiles(raw.default, profile);
+    const errors = validateScoringProfile(merged);
+    if (errors.length > 0) {
+      throw new Error(`Invalid scoring profile "${name}" in ${filePath}: ${errors.join('; ')}`);
+    }
+    profiles[name] = { name, ...merged };
+  });
+
+  return profiles;
+}
+
+/**
+ * Profiles are loaded once per process
+ */
+function getScoringProfiles() {
+  if (!cachedProfiles) {
+    cachedProfiles = loadScoringProfiles();
+  }
+  return cachedProfiles;
+}
+
+/**
+ * Overlay a partial profile on a base profile
+ */
+function mergeProfiles(base, overrides) {
+  return {
+    ...base,
+    ...overrides,
+    weights: { ...base.weights, ...(overrides.weights || {}) },
+    thresholds: { ...base.thresholds, ...(overrides.thresholds || {}) }
+  };
+}
+
+/**
+ * Validate a complete profile, returns a list of problems (empty when valid)
+ */
+function validateScoringProfile(profile) {
+  const errors = [];
+  const { weights = {}, thresholds = {}, industryMultiplier, baseScore, bonuses, semanticMatching } = profile;
+
+  const unknown = Object.keys(weights).filter(key => !WEIGHT_COMPONENTS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`unknown weight components: ${unknown.join(', ')}`);
+  }
+
+  const missing = WEIGHT_COMPONENTS.filter(key => weights[key] === undefined);
+  if (missing.length > 0) {
+    errors.push(`missing weights: ${missing.join(', ')}`);
+  }
+
+  const invalid = Object.entries(weights).filter(([, value]) => typeof value !== 'number' || value < 0);
+  if (invalid.length > 0) {
+    errors.push(`weights must be non-negative numbers: ${invalid.map(([key]) => key).join(', ')}`);
+  }
+
+  const sum = Object.values(weights).reduce((total, value) => total + (Number(value) || 0), 0);
+  if (Math.abs(sum - 1) > WEIGHT_SUM_TOLERANCE) {
+    errors.push(`weights must sum to 1 (got ${Math.round(sum * 1000) / 1000})`);
+  }
+
+  ['strongMatch', 'partialMatch', 'typoTolerance', 'semanticMatch'].forEach(key => {
+    const value = thresholds[key];
+    if (typeof value !== 'number' || value < 0 || value > 1) {
+      errors.push(`thresholds.${key} must be a number between 0 and 1`);
+    }
+  });
+  if (thresholds.partialMatch > thresholds.strongMatch) {
+    errors.push('thresholds.partialMatch cannot be higher than thresholds.strongMatch');
+  }
+
+  if (typeof industryMultiplier !== 'number' || industryMultiplier <= 0) {
+    errors.push('industryMultiplier must be a positive number');
+  }
+  if (typeof baseScore !== 'number' || baseScore < 0 || baseScore > 100) {
+    errors.push('baseScore must be a number between 0 and 100');
+  }
+  if (typeof bonuses !== 'boolean') {
+    errors.push('bonuses must be true or false');
+  }
+  if (typeof semanticMatching !== 'boolean') {
+    errors.push('semanticMatching must be true or false');
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve the profile for a request
+ * Accepts a profile name, a custom profile object (or its JSON string)
+ * optionally naming a profile to extend via "extends", or nothing for "default".
+ */
+function resolveScoringProfile(selection) {
+  const profiles = getScoringProfiles();
+
+  if (selection === undefined || selection === null || selection === '') {
+    return profiles.default;
+  }
+
+  let value = selection;
+  if (typeof selection === 'string') {
+    const trimmed = selection.trim();
+    if (!trimmed.startsWith('{')) {
+      if (!isProfileName(profiles, trimmed)) {
+        throw createHttpError(
+          400,
+          `Unknown scoring profile "${trimmed}". Available: ${Object.keys(profiles).join(', ')}`,
+          'UNKNOWN_SCORING_PROFILE'
+        );
+      }
+      return profiles[trimmed];
+    }
+
+    try {
+      value = JSON.parse(trimmed);
+    } catch (e) {
+      throw createHttpError(400, 'Custom scoring profile is not valid JSON', 'INVALID_SCORING_PROFILE');
+    }
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw createHttpError(400, 'Scoring profile must be a name or an object', 'INVALID_SCORING_PROFILE');
+  }
+
+  const { extends: baseName = 'default', name, ...overrides } = value;
+  const base = isProfileName(profiles, baseName) ? profiles[baseName] : null;
+  if (!base) {
+    throw createHttpError(400, `Unknown base scoring profile "${baseName}"`, 'UNKNOWN_SCORING_PROFILE');
+  }
+
+  // A custom weights object replaces the base weights entirely, so it must be complete
+  const custom = {
+    ...mergeProfiles(base, overrides),
+    weights: overrides.weights || base.weights,
+    description: overrides.description || `Custom profile based on "${baseName}"`
+  };
+
+  const errors = validateScoringProfile(custom);
+  if (errors.length > 0) {
+    throw createHttpError(400, `Invalid scoring profile: ${errors.join('; ')}`, 'INVALID_SCORING_PROFILE');
+  }
+
+  return { ...custom, name: name || 'custom', extends: baseName };
+}
+
+/**
+ * Helper: Whether a name is one of the configured profiles, not an inherited
+ * object property ("constructor", "toString")
+ */
+function isProfileName(profiles, name) {
+  return typeof name === 'string' && Object.hasOwn(profiles, name);
+}
+
+module.exports = {
+  WEIGHT_COMPONENTS,
+  loadScoringProfiles,
+  getScoringProfiles,
+  resolveScoringProfile,
+  validateScoringProfile
+};
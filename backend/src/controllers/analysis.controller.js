@@ -1,39 +1,275 @@
-const { parseResume } = require("../services/resumeParser.service");
-const { performATSAnalysis } = require("../services/ats.engine");
+const {
+  parseResumeDocument,
+  parseJobDescriptionDocument,
+} = require("../services/resumeParser.service");
+const { importJsonResume } = require("../services/resumeFormats.service");
+const {
+  performATSAnalysis,
+  performBatchAnalysis,
+  performMultiJDAnalysis,
+} = require("../services/ats.engine");
+const mongoose = require("mongoose");
+const { resolveScoringProfile } = require("../config/scoringProfiles");
+const {
+  saveAnalysis,
+  getAnalysisById,
+  listAnalyses,
+  deleteAnalysis,
+} = require("../services/analysisStore.service");
+const { createHttpError, sendError } = require("../utils/errors");
+
+const SINGLE_JD_MESSAGE = "jobDescription must be a single text; use /multi-jd to compare several job descriptions";
 
 async function analyzeResume(req, res) {
   try {
-    if (!req.file) {
+    const body = req.body || {};
+    const resumeFile = getUploadedFile(req, "resume");
+    if (!resumeFile && !body.jsonResume) {
       return res.status(400).json({
         success: false,
-        message: "Resume file is required",
+        message: "Resume file or JSON Resume document is required",
       });
     }
 
-    if (!req.body.jobDescription) {
+    if (!body.jobDescription && !getUploadedFile(req, "jobDescriptionFile")) {
       return res.status(400).json({
         success: false,
-        message: "Job description is required",
+        message: "Job description text or file is required",
       });
     }
 
-    const resumeText = await parseResume(req.file);
-    const { jobDescription } = req.body;
+    if (!isSingleJobDescription(body.jobDescription)) {
+      return res.status(400).json({
+        success: false,
+        message: SINGLE_JD_MESSAGE,
+      });
+    }
+
+    const scoringProfile = resolveScoringProfile(body.scoringProfile || req.query.profile);
+    // A JSON Resume in the body is already structured and skips text extraction
+    const { text: resumeText, layout, parseability = null, importedResume, file = null } = resumeFile
+      ? await parseResumeDocument(resumeFile)
+      : importJsonResume(parseJsonResumeField(body.jsonResume));
+    const jobDescription = await readJobDescription(req);
 
     // Use advanced NLP-based ATS engine
-    const result = performATSAnalysis(resumeText, jobDescription);
+    const result = performATSAnalysis(resumeText, jobDescription, {
+      scoringProfile,
+      layout,
+      parseability,
+      importedResume,
+      file,
+    });
 
-    res.json({ success: true, analysis: result });
+    const saved = await saveAnalysis({
+      resumeText,
+      jobDescription,
+      result,
+      resumeFileName: resumeFile ? resumeFile.originalname : undefined,
+    });
+
+    // The resume text is not stored, so the viewer only gets it with this response
+    res.json({
+      success: true,
+      analysisId: saved.id,
+      analysis: result,
+      documents: { resume: resumeText, jobDescription },
+    });
   } catch (err) {
     console.error('ATS Analysis Error:', err);
-    res.status(500).json({ success: false, message: err.message });
+    sendError(res, err);
+  }
+}
+
+// Rank many resumes against one job description
+async function batchAnalyze(req, res) {
+  try {
+    const resumeFiles = (req.files && req.files.resumes) || [];
+    if (resumeFiles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one resume file is required",
+      });
+    }
+
+    if (!req.body.jobDescription && !getUploadedFile(req, "jobDescriptionFile")) {
+      return res.status(400).json({
+        success: false,
+        message: "Job description text or file is required",
+      });
+    }
+
+    if (!isSingleJobDescription(req.body.jobDescription)) {
+      return res.status(400).json({
+        success: false,
+        message: SINGLE_JD_MESSAGE,
+      });
+    }
+
+    const scoringProfile = resolveScoringProfile(req.body.scoringProfile || req.query.profile);
+    const jobDescription = await readJobDescription(req);
+
+    // Parse every file independently so one bad file does not fail the batch
+    const parsed = await Promise.allSettled(
+      resumeFiles.map((file) => parseResumeDocument(file))
+    );
+
+    const resumes = [];
+    const errors = [];
+    parsed.forEach((outcome, index) => {
+      const fileName = resumeFiles[index].originalname;
+      if (outcome.status === "fulfilled") {
+        resumes.push({ name: fileName, ...outcome.value });
+      } else {
+        const { message, code } = outcome.reason;
+        errors.push(code ? { fileName, message, code } : { fileName, message });
+      }
+    });
+
+    // A resume that fails analysis is reported like one that failed to parse
+    const { candidates, failures } = performBatchAnalysis(resumes, jobDescription, { scoringProfile });
+    failures.forEach(({ name: fileName, error }) => {
+      console.error(`Error analyzing ${fileName}:`, error);
+      errors.push({ fileName, message: error.message, code: "ANALYSIS_FAILED" });
+    });
+
+    res.json({
+      success: true,
+      totalFiles: resumeFiles.length,
+      analyzed: candidates.length,
+      failed: errors.length,
+      candidates,
+      errors,
+    });
+  } catch (err) {
+    console.error("Error in batchAnalyze:", err);
+    sendError(res, err);
+  }
+}
+
+const MAX_JOB_DESCRIPTIONS = 20;
+
+// Score one resume against several job descriptions and recommend the best fit
+async function multiJDAnalyze(req, res) {
+  try {
+    const body = req.body || {};
+    if (!req.file && !body.resumeText) {
+      return res.status(400).json({
+        success: false,
+        message: "Resume file or resume text is required",
+      });
+    }
+
+    const jobDescriptions = parseJobDescriptionsField(body.jobDescriptions);
+    if (jobDescriptions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one job description is required",
+      });
+    }
+
+    if (jobDescriptions.length > MAX_JOB_DESCRIPTIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_JOB_DESCRIPTIONS} job descriptions can be compared at once`,
+      });
+    }
+
+    const scoringProfile = resolveScoringProfile(body.scoringProfile || req.query.profile);
+    const { text: resumeText, layout, parseability, importedResume, file } = req.file
+      ? await parseResumeDocument(req.file)
+      : { text: body.resumeText, layout: null, parseability: null, importedResume: null, file: null };
+    const result = performMultiJDAnalysis(resumeText, jobDescriptions, {
+      scoringProfile,
+      layout,
+      parseability,
+      importedResume,
+      file,
+    });
+
+    res.json({ success: true, analysis: result });
+  } catch (err) {
+    console.error("Error in multiJDAnalyze:", err);
+    sendError(res, err);
+  }
+}
+
+/**
+ * Accept job descriptions as a JSON array (strings or { title, text }),
+ * a JSON-encoded array string, or repeated multipart fields
+ */
+function parseJobDescriptionsField(field) {
+  if (!field) return [];
+
+  let value = field;
+  if (typeof field === "string") {
+    try {
+      value = JSON.parse(field);
+    } catch (e) {
+      value = [field];
+    }
+  }
+
+  const list = Array.isArray(value) ? value : [value];
+
+  return list
+    .map((jd) => {
+      if (typeof jd === "string") return jd.trim();
+      if (jd && typeof jd.text === "string" && jd.text.trim()) {
+        return { title: jd.title, text: jd.text.trim() };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Whether a jobDescription field is one text (absent when a file was uploaded
+ * instead); repeated multipart fields and JSON arrays are not
+ */
+function isSingleJobDescription(field) {
+  return field === undefined || typeof field === "string";
+}
+
+/**
+ * The first file uploaded under a multipart field, or null
+ */
+function getUploadedFile(req, field) {
+  return req.files && req.files[field] ? req.files[field][0] : null;
+}
+
+/**
+ * Job description text: extracted from the jobDescriptionFile upload (PDF, DOCX, ...)
+ * when one was sent, otherwise the jobDescription field
+ */
+async function readJobDescription(req) {
+  const jdFile = getUploadedFile(req, "jobDescriptionFile");
+  if (!jdFile) return req.body.jobDescription;
+
+  const text = await parseJobDescriptionDocument(jdFile);
+  if (!text.trim()) {
+    throw createHttpError(422, "Job description file contains no text", "NO_TEXT");
+  }
+  return text;
+}
+
+/**
+ * Accept a JSON Resume document as an object (JSON body) or a JSON string (multipart field)
+ */
+function parseJsonResumeField(field) {
+  if (typeof field !== "string") return field;
+  try {
+    return JSON.parse(field);
+  } catch (e) {
+    throw createHttpError(400, "jsonResume is not valid JSON", "INVALID_JSON_RESUME");
   }
 }
 
 // Test endpoint for direct JSON input (for testing purposes)
 async function testAnalyze(req, res) {
   try {
-    const { resumeText, jobDescription } = req.body;
+    const body = req.body || {};
+    const { resumeText, jobDescription } = body;
 
     if (!resumeText) {
       return res.status(400).json({
@@ -49,14 +285,145 @@ async function testAnalyze(req, res) {
       });
     }
 
+    if (!isSingleJobDescription(jobDescription)) {
+      return res.status(400).json({
+        success: false,
+        message: SINGLE_JD_MESSAGE,
+      });
+    }
+
+    const scoringProfile = resolveScoringProfile(body.scoringProfile || req.query.profile);
+
     // Use advanced NLP-based ATS engine
-    const result = performATSAnalysis(resumeText, jobDescription);
+    const result = performATSAnalysis(resumeText, jobDescription, { scoringProfile });
 
-    res.json({ success: true, analysis: result });
+    const saved = await saveAnalysis({ resumeText, jobDescription, result });
+
+    // The resume text is not stored, so the viewer only gets it with this response
+    res.json({
+      success: true,
+      analysisId: saved.id,
+      analysis: result,
+      documents: { resume: resumeText, jobDescription },
+    });
   } catch (err) {
     console.error("Error in testAnalyze:", err);
-    res.status(500).json({ success: false, message: err.message });
+    sendError(res, err);
   }
 }
 
-module.exports = { analyzeResume, testAnalyze };
+// Fetch a stored analysis by id
+async function getAnalysis(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid analysis id",
+      });
+    }
+
+    const analysis = await getAnalysisById(req.params.id);
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        message: "Analysis not found",
+      });
+    }
+
+    res.json({ success: true, analysis });
+  } catch (err) {
+    console.error("Error in getAnalysis:", err);
+    sendError(res, err);
+  }
+}
+
+// List stored analyses (paginated, filterable by score range and date)
+async function listAnalysisHistory(req, res) {
+  try {
+    const { filters, error } = parseHistoryQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { items, pagination } = await listAnalyses(filters);
+
+    res.json({ success: true, analyses: items, pagination });
+  } catch (err) {
+    console.error("Error in listAnalysisHistory:", err);
+    sendError(res, err);
+  }
+}
+
+// Delete a stored analysis by id
+async function deleteAnalysisById(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid analysis id",
+      });
+    }
+
+    const deleted = await deleteAnalysis(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Analysis not found",
+      });
+    }
+
+    res.json({ success: true, id: req.params.id });
+  } catch (err) {
+    console.error("Error in deleteAnalysisById:", err);
+    sendError(res, err);
+  }
+}
+
+/**
+ * Validate history query params: page, limit, minScore, maxScore, from, to
+ */
+function parseHistoryQuery(query) {
+  const filters = {
+    page: query.page !== undefined ? Number(query.page) : 1,
+    limit: query.limit !== undefined ? Number(query.limit) : 20,
+  };
+
+  if (!Number.isInteger(filters.page) || filters.page < 1) {
+    return { error: "page must be a positive integer" };
+  }
+  if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > 100) {
+    return { error: "limit must be an integer between 1 and 100" };
+  }
+
+  for (const key of ["minScore", "maxScore"]) {
+    if (query[key] !== undefined) {
+      const value = Number(query[key]);
+      if (Number.isNaN(value) || value < 0 || value > 100) {
+        return { error: `${key} must be a number between 0 and 100` };
+      }
+      filters[key] = value;
+    }
+  }
+
+  for (const key of ["from", "to"]) {
+    if (query[key] !== undefined) {
+      const date = new Date(query[key]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `${key} must be a valid date` };
+      }
+      filters[key] = date;
+    }
+  }
+
+  return { filters };
+}
+
+module.exports = {
+  analyzeResume,
+  testAnalyze,
+  batchAnalyze,
+  multiJDAnalyze,
+  getAnalysis,
+  listAnalysisHistory,
+  deleteAnalysisById,
+};
@@ -0,0 +1,64 @@
+const { parseResumeDocument } = require("../services/resumeParser.service");
+const { buildResumeProfile } = require("../services/resumeProfile.service");
+const { EXPORT_FORMATS, exportResumeProfile } = require("../services/resumeFormats.service");
+const { sendError } = require("../utils/errors");
+
+// Structured profile of a resume (file or text): contact, jobs, education,
+// certifications, skills by section and employment gaps; no job description needed
+async function parseResumeProfile(req, res) {
+  try {
+    const body = req.body || {};
+    if (!req.file && !body.resumeText) {
+      return res.status(400).json({
+        success: false,
+        message: "Resume file or resume text is required",
+      });
+    }
+
+    const { text: resumeText, layout, file = null } = req.file
+      ? await parseResumeDocument(req.file)
+      : { text: body.resumeText, layout: null };
+    const profile = buildResumeProfile(resumeText, { layout });
+
+    res.json({ success: true, profile, file });
+  } catch (err) {
+    console.error("Error in parseResumeProfile:", err);
+    sendError(res, err);
+  }
+}
+
+// Convert a resume (file or text) into a JSON Resume or HR Open candidate document
+async function exportResume(req, res) {
+  try {
+    const body = req.body || {};
+    if (!req.file && !body.resumeText) {
+      return res.status(400).json({
+        success: false,
+        message: "Resume file or resume text is required",
+      });
+    }
+
+    const format = body.format || req.query.format || "json-resume";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const { text: resumeText, layout } = req.file
+      ? await parseResumeDocument(req.file)
+      : { text: body.resumeText, layout: null };
+    const profile = buildResumeProfile(resumeText, { layout });
+
+    res.json({ success: true, format, document: exportResumeProfile(profile, format) });
+  } catch (err) {
+    console.error("Error in exportResume:", err);
+    sendError(res, err);
+  }
+}
+
+module.exports = {
+  parseResumeProfile,
+  exportResume,
+};
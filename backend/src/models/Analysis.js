@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+
+// Where a matched term appears: start/end are offsets into the extracted resume text
+const evidenceSchema = new mongoose.Schema(
+  {
+    section: String,
+    job: String,
+    text: String,
+    start: Number,
+    end: Number,
+  },
+  { _id: false }
+);
+
+const strongMatchSchema = new mongoose.Schema(
+  {
+    skill: String,
+    matchedAs: String,
+    inSkillsSection: Boolean,
+    demonstrated: Boolean,
+    importance: String,
+    impliedBy: String,
+    matchType: String,
+    evidence: [evidenceSchema],
+  },
+  { _id: false }
+);
+
+const partialMatchSchema = new mongoose.Schema(
+  {
+    skill: String,
+    matchedAs: String,
+    similarity: Number,
+    importance: String,
+    impliedBy: String,
+    // Set when matchType is "semantic" (found by meaning, not spelling)
+    matchType: String,
+    semanticSimilarity: Number,
+    evidence: [evidenceSchema],
+  },
+  { _id: false }
+);
+
+const missingSkillSchema = new mongoose.Schema(
+  {
+    skill: String,
+    importance: String,
+    impact: String,
+  },
+  { _id: false }
+);
+
+const insightSchema = new mongoose.Schema(
+  {
+    type: { type: String },
+    category: String,
+    message: String,
+    suggestion: String,
+    priority: String,
+  },
+  { _id: false }
+);
+
+const checklistSchema = new mongoose.Schema(
+  {
+    priority: String,
+    title: String,
+    items: [String],
+  },
+  { _id: false }
+);
+
+const analysisSchema = new mongoose.Schema(
+  {
+    // SHA-256 of the extracted resume text, so identical resumes can be grouped without storing them
+    resumeHash: { type: String, required: true, index: true },
+    resumeFileName: String,
+    jobDescription: { type: String, required: true },
+    atsScore: { type: Number, required: true, min: 0, max: 100, index: true },
+    strongMatches: [strongMatchSchema],
+    partialMatches: [partialMatchSchema],
+    missingSkills: [missingSkillSchema],
+    sectionFeedback: mongoose.Schema.Types.Mixed,
+    insights: [insightSchema],
+    checklist: [checklistSchema],
+    // Any other fields of the engine result, kept verbatim
+    details: mongoose.Schema.Types.Mixed,
+  },
+  { timestamps: true }
+);
+
+analysisSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("Analysis", analysisSchema);
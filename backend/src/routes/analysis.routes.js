@@ -1,11 +1,37 @@
 const express = require("express");
 const multer = require("multer");
-const { analyzeResume, testAnalyze } = require("../controllers/analysis.controller");
+const {
+  analyzeResume,
+  testAnalyze,
+  batchAnalyze,
+  multiJDAnalyze,
+  getAnalysis,
+  listAnalysisHistory,
+  deleteAnalysisById,
+} = require("../controllers/analysis.controller");
 
 const router = express.Router();
 const upload = multer();
 
-router.post("/analyze", upload.single("resume"), analyzeResume);
+const MAX_BATCH_FILES = 50;
+
+// The job description may be uploaded as a file instead of sent as text
+router.post(
+  "/analyze",
+  upload.fields([{ name: "resume", maxCount: 1 }, { name: "jobDescriptionFile", maxCount: 1 }]),
+  analyzeResume
+);
+router.post(
+  "/batch",
+  upload.fields([{ name: "resumes", maxCount: MAX_BATCH_FILES }, { name: "jobDescriptionFile", maxCount: 1 }]),
+  batchAnalyze
+);
+router.post("/multi-jd", upload.single("resume"), multiJDAnalyze);
 router.post("/test", testAnalyze); // Test endpoint for JSON input
 
+// Analysis history
+router.get("/", listAnalysisHistory);
+router.get("/:id", getAnalysis);
+router.delete("/:id", deleteAnalysisById);
+
 module.exports = router;
@@ -0,0 +1,11 @@
+const express = require("express");
+const multer = require("multer");
+const { parseResumeProfile, exportResume } = require("../controllers/resume.controller");
+
+const router = express.Router();
+const upload = multer();
+
+router.post("/parse", upload.single("resume"), parseResumeProfile);
+router.post("/export", upload.single("resume"), exportResume);
+
+module.exports = router;
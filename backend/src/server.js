@@ -1,8 +1,24 @@
 const app = require("./app");
+const { connectDatabase } = require("./config/db");
+const { selectAnalysisStore } = require("./services/analysisStore.service");
+const { getRelatedTerms } = require("./utils/semantic.matcher");
+const { getBackgroundCorpus } = require("./utils/relevance.scorer");
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Read the related terms and the relevance corpus (RELATED_TERMS_PATH, RELEVANCE_CORPUS_PATH
+// or the bundled files) now, so a broken file fails at startup
+getRelatedTerms();
+getBackgroundCorpus();
 
+connectDatabase()
+  .catch((err) => {
+    console.error("MongoDB connection error:", err.message);
+    return false;
+  })
+  .then((connected) => {
+    selectAnalysisStore(connected ? "mongodb" : "memory");
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  });
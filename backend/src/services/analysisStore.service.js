@@ -0,0 +1,255 @@
+// Analysis persistence: MongoDB via Mongoose or an in-process store, chosen once
+// at startup
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Analysis = require('../models/Analysis');
+
+// Fields of the engine result that have their own columns in the Analysis schema
+const TOP_LEVEL_FIELDS = [
+  'atsScore',
+  'strongMatches',
+  'partialMatches',
+  'missingSkills',
+  'sectionFeedback',
+  'insights',
+  'checklist'
+];
+
+const STORE_KINDS = ['memory', 'mongodb'];
+
+// Analyses the in-process store keeps before evicting the oldest
+const DEFAULT_MEMORY_LIMIT = 1000;
+
+// Fallback store used when no MongoDB connection is available (local dev, tests);
+// insertion order is age order, so the first key is the oldest entry
+const memoryStore = new Map();
+
+let storeKind = 'memory';
+let memoryLimit = Number(process.env.ANALYSIS_MEMORY_LIMIT) || DEFAULT_MEMORY_LIMIT;
+
+/**
+ * Choose the store once at startup: "mongodb" after a successful connection,
+ * "memory" otherwise. A dropped connection then fails requests instead of
+ * silently switching stores.
+ * options.memoryLimit: analyses the in-process store keeps (ANALYSIS_MEMORY_LIMIT, default 1000)
+ */
+function selectAnalysisStore(kind, options = {}) {
+  if (!STORE_KINDS.includes(kind)) {
+    throw new Error(`Unknown analysis store "${kind}", expected one of: ${STORE_KINDS.join(', ')}`);
+  }
+  storeKind = kind;
+  if (options.memoryLimit !== undefined) {
+    if (!Number.isInteger(options.memoryLimit) || options.memoryLimit < 1) {
+      throw new Error('memoryLimit must be a positive integer');
+    }
+    memoryLimit = options.memoryLimit;
+  }
+}
+
+/**
+ * Whether analyses go to MongoDB
+ */
+function isUsingDatabase() {
+  return storeKind === 'mongodb';
+}
+
+/**
+ * Hash resume text so analyses can be grouped without storing the resume itself
+ */
+function hashResumeText(resumeText) {
+  return crypto.createHash('sha256').update(resumeText || '').digest('hex');
+}
+
+/**
+ * Build a storable record from an engine result
+ */
+function buildAnalysisRecord({ resumeText, jobDescription, result, resumeFileName }) {
+  const record = {
+    resumeHash: hashResumeText(resumeText),
+    resumeFileName,
+    jobDescription,
+    details: {}
+  };
+
+  Object.entries(result).forEach(([key, value]) => {
+    if (TOP_LEVEL_FIELDS.includes(key)) {
+      record[key] = value;
+    } else {
+      record.details[key] = value;
+    }
+  });
+
+  return record;
+}
+
+/**
+ * Convert a stored record (Mongoose document or memory entry) to the API shape
+ */
+function toAnalysisResponse(record) {
+  const plain = typeof record.toObject === 'function' ? record.toObject() : record;
+  const analysis = { ...(plain.details || {}) };
+
+  TOP_LEVEL_FIELDS.forEach(field => {
+    if (plain[field] !== undefined) analysis[field] = plain[field];
+  });
+
+  return {
+    id: String(plain._id),
+    resumeHash: plain.resumeHash,
+    resumeFileName: plain.resumeFileName,
+    jobDescription: plain.jobDescription,
+    createdAt: plain.createdAt,
+    updatedAt: plain.updatedAt,
+    analysis
+  };
+}
+
+/**
+ * Convert a stored record to a compact list entry
+ */
+function toAnalysisSummary(record) {
+  const plain = typeof record.toObject === 'function' ? record.toObject() : record;
+
+  return {
+    id: String(plain._id),
+    resumeHash: plain.resumeHash,
+    resumeFileName: plain.resumeFileName,
+    atsScore: plain.atsScore,
+    requirementCoverage: plain.details?.requirementCoverage ?? null,
+    jobDescriptionPreview: (plain.jobDescription || '').slice(0, 200),
+    strongMatchCount: (plain.strongMatches || []).length,
+    partialMatchCount: (plain.partialMatches || []).length,
+    missingSkillCount: (plain.missingSkills || []).length,
+    createdAt: plain.createdAt
+  };
+}
+
+/**
+ * Persist an analysis and return it in API shape
+ */
+async function saveAnalysis(data) {
+  const record = buildAnalysisRecord(data);
+
+  if (isUsingDatabase()) {
+    const doc = await Analysis.create(record);
+    return toAnalysisResponse(doc);
+  }
+
+  const now = new Date();
+  const entry = {
+    ...record,
+    _id: new mongoose.Types.ObjectId(),
+    createdAt: now,
+    updatedAt: now
+  };
+  memoryStore.set(String(entry._id), entry);
+  while (memoryStore.size > memoryLimit) {
+    memoryStore.delete(memoryStore.keys().next().value);
+  }
+
+  return toAnalysisResponse(entry);
+}
+
+/**
+ * Fetch a single analysis, or null if it does not exist
+ */
+async function getAnalysisById(id) {
+  if (isUsingDatabase()) {
+    const doc = await Analysis.findById(id);
+    return doc ? toAnalysisResponse(doc) : null;
+  }
+
+  const entry = memoryStore.get(String(id));
+  return entry ? toAnalysisResponse(entry) : null;
+}
+
+/**
+ * List analyses newest first, filtered by score range and creation date
+ * filters: { page, limit, minScore, maxScore, from, to }
+ */
+async function listAnalyses(filters = {}) {
+  const { page = 1, limit = 20, minScore, maxScore, from, to } = filters;
+  const skip = (page - 1) * limit;
+
+  if (isUsingDatabase()) {
+    const query = {};
+    if (minScore !== undefined || maxScore !== undefined) {
+      query.atsScore = {};
+      if (minScore !== undefined) query.atsScore.$gte = minScore;
+      if (maxScore !== undefined) query.atsScore.$lte = maxScore;
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    const [docs, total] = await Promise.all([
+      Analysis.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Analysis.countDocuments(query)
+    ]);
+
+    return buildPage(docs.map(toAnalysisSummary), total, page, limit);
+  }
+
+  // Newest insertion first, so analyses saved in the same millisecond keep their order
+  const matching = Array.from(memoryStore.values())
+    .reverse()
+    .filter(entry => minScore === undefined || entry.atsScore >= minScore)
+    .filter(entry => maxScore === undefined || entry.atsScore <= maxScore)
+    .filter(entry => !from || entry.createdAt >= from)
+    .filter(entry => !to || entry.createdAt <= to)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  return buildPage(
+    matching.slice(skip, skip + limit).map(toAnalysisSummary),
+    matching.length,
+    page,
+    limit
+  );
+}
+
+/**
+ * Helper: Wrap a page of results with pagination metadata
+ */
+function buildPage(items, total, page, limit) {
+  return {
+    items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Delete an analysis, returns false if it did not exist
+ */
+async function deleteAnalysis(id) {
+  if (isUsingDatabase()) {
+    const deleted = await Analysis.findByIdAndDelete(id);
+    return !!deleted;
+  }
+
+  return memoryStore.delete(String(id));
+}
+
+/**
+ * Clear the in-process store (used by tests and local tooling)
+ */
+function clearMemoryStore() {
+  memoryStore.clear();
+}
+
+module.exports = {
+  saveAnalysis,
+  getAnalysisById,
+  listAnalyses,
+  deleteAnalysis,
+  hashResumeText,
+  selectAnalysisStore,
+  isUsingDatabase,
+  clearMemoryStore
+};
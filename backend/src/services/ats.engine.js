@@ -5,9 +5,9 @@ const {
   extractPhrases,
   extractActionVerbs,
   normalizeSkill,
-  findBestMatch,
-  calculateTFIDF,
-  isGenericWord
+  calculateTermFrequency,
+  isGenericWord,
+  removeCommonWords
 } = require('../utils/nlp.utils');
 
 const {
@@ -19,11 +19,12 @@ const {
 } = require('../utils/section.detector');
 
 const {
-  findBestMatchWithTypoTolerance,
   autocorrectSkill,
   getSkillVariations
 } = require('../utils/spellcheck.utils');
 
+const { findBestSkillMatch } = require('../utils/skill.matcher');
+
 const {
   extractYearsOfExperience,
   calculateTotalExperience,
@@ -35,15 +36,51 @@ const {
 } = require('../utils/contact.extractor');
 
 const {
+  extractDegrees,
   extractEducationInfo,
+  classifyDegreeLevel,
   meetsEducationRequirement
 } = require('../utils/education.extractor');
 
+const { resolveSkill, correctSkillTypo, getAncestorCredits, findSkillsInText } = require('../utils/skill.taxonomy');
+
+const { stripJDBoilerplate } = require('../utils/jd.boilerplate');
+
+const { parseJobDescription } = require('../utils/jd.parser');
+
+const { extractAcronyms, mergeAcronyms, expandAcronym } = require('../utils/acronym.extractor');
+
+const { findBestSemanticMatch } = require('../utils/semantic.matcher');
+
+const { scoreDocumentRelevance, inverseDocumentFrequency } = require('../utils/relevance.scorer');
+
+const { indexResumeLines, findTermLocations, findTermMentions, termForms, containsTerm } = require('../utils/evidence.locator');
+
+const { resolveScoringProfile } = require('../config/scoringProfiles');
+
+// Seniority ranks used to compare JD and resume experience levels
+const LEVEL_RANKS = { entry: 1, mid: 2, senior: 3, executive: 4 };
+
+// Degree ranks used to pick the lowest degree a JD accepts
+const DEGREE_RANKS = { Associate: 1, Bachelor: 2, Master: 3, Doctorate: 4 };
+
+// Mean check score at which a JD requirement counts as met
+const REQUIREMENT_MET_SCORE = 0.8;
+
+// Resume lines quoted as evidence per requirement
+const MAX_EVIDENCE_LINES = 3;
+
 /**
  * STEP 4: Importance Weighting (ATS Logic)
  * Apply TF-IDF and context-based weighting to JD keywords
  */
-function analyzeJobDescription(jdText) {
+function analyzeJobDescription(rawJdText) {
+  // Sections and requirement bullets; benefits and EEO blocks are found here too
+  const { sections, requirements: parsedRequirements } = parseJobDescription(rawJdText);
+  
+  // EEO statements, benefits and company blurbs are not requirements
+  const jdText = stripJDBoilerplate(rawJdText);
+  
   // Extract all relevant information from JD
   const skills = extractSkills(jdText);
   const phrases = extractPhrases(jdText);
@@ -52,18 +89,34 @@ function analyzeJobDescription(jdText) {
   const cleanedSkills = skills.filter(s => !isNoiseTerm(s) && !isQualifierTerm(s));
   const cleanedPhrases = phrases.filter(p => !isNoiseTerm(p) && !isQualifierTerm(p));
   
-  const allTerms = [...cleanedSkills, ...cleanedPhrases];
+  // Each requirement keeps its own terms; known skills in a requirement are
+  // JD terms even when NLP extraction misses them
+  const requirements = parsedRequirements.map(requirement => ({
+    ...requirement,
+    terms: extractRequirementTerms(requirement.text)
+  }));
+  const requirementSkills = requirements.flatMap(requirement => requirement.terms.filter(term => resolveSkill(term)));
+  
+  // Acronyms the JD defines or uses for known skills ("SRE", "ML"); a term the
+  // JD bothers to define is a JD term
+  const acronyms = extractAcronyms(jdText);
+  const definedTerms = acronyms.filter(entry => entry.source === 'definition').map(entry => entry.longForm);
+  
+  const allTerms = [...cleanedSkills, ...cleanedPhrases, ...requirementSkills, ...definedTerms];
   
-  // Calculate TF-IDF scores
-  const tfidf = calculateTFIDF(jdText, [jdText]);
+  // Term frequencies in the JD; rarity comes from the background corpus below
+  const termFrequency = calculateTermFrequency(jdText);
   
-  // Identify required vs preferred skills
-  const { required, preferred } = categorizeSkillImportance(jdText, allTerms);
+  // Identify required vs preferred skills: from the section each requirement
+  // sits in when the JD has Requirements / Preferred sections, else from context
+  const { required, preferred } = requirements.length > 0
+    ? categorizeByRequirements(requirements, sections, allTerms)
+    : categorizeSkillImportance(jdText, allTerms);
   
   // Weight terms based on context
   const weightedTerms = allTerms.map(term => {
     const normalized = normalizeSkill(term);
-    const baseWeight = tfidf[term.toLowerCase()] || 0.1;
+    const baseWeight = (termFrequency[term.toLowerCase()] || 0.1) * inverseDocumentFrequency(term);
     
     let weight = baseWeight;
     
@@ -100,7 +153,76 @@ function analyzeJobDescription(jdText) {
     phrases,
     weightedTerms: uniqueTerms,
     requiredSkills: Array.from(required),
-    preferredSkills: Array.from(preferred)
+    preferredSkills: Array.from(preferred),
+    qualifications: extractJDQualifications(jdText),
+    sections,
+    requirements,
+    acronyms,
+    // As submitted, so highlight offsets index what the user sees
+    text: rawJdText || '',
+    // Without benefits, EEO and company boilerplate
+    contentText: jdText || ''
+  };
+}
+
+/**
+ * Terms of one requirement bullet, normalized: NLP-extracted skills and phrases
+ * plus the taxonomy skills it names
+ */
+function extractRequirementTerms(text) {
+  // "Node.js and TypeScript" is two terms; "senior-level" is the requirement's level, not a term
+  const extracted = [...extractSkills(text), ...extractPhrases(text)]
+    .flatMap(term => term.split(/\s+(?:and|or|&)\s+|\s*,\s*/))
+    .filter(term => !isNoiseTerm(term) && !isQualifierTerm(term) && !/^-|-$|[\s-]level$/i.test(term));
+  
+  return [...new Set([...extracted, ...findSkillsInText(text)].map(term => normalizeSkill(term)))]
+    .filter(term => term && term.length > 1);
+}
+
+/**
+ * Required vs preferred from a structured JD: terms of Requirements bullets and
+ * Responsibilities are required; terms only in Preferred bullets are preferred
+ */
+function categorizeByRequirements(requirements, sections, terms) {
+  const required = new Set();
+  const preferred = new Set();
+  const responsibilities = sections.responsibilities || '';
+  
+  terms.forEach(term => {
+    const normalized = normalizeSkill(term);
+    const mentionedIn = (requirement) =>
+      requirement.terms.includes(normalized) || containsTerm(requirement.text, term);
+    
+    if (containsTerm(responsibilities, term) ||
+        requirements.some(requirement => requirement.importance === 'required' && mentionedIn(requirement))) {
+      required.add(normalized);
+    } else if (requirements.some(requirement => requirement.importance === 'preferred' && mentionedIn(requirement))) {
+      preferred.add(normalized);
+    }
+  });
+  
+  return { required, preferred };
+}
+
+/**
+ * Extract years, degree and seniority requirements from the JD
+ */
+function extractJDQualifications(jdText) {
+  // "Bachelor's or Master's" accepts a Bachelor, so keep the lowest degree mentioned
+  const degrees = extractDegrees(jdText)
+    .filter(degree => DEGREE_RANKS[classifyDegreeLevel(degree)])
+    .sort((a, b) => DEGREE_RANKS[classifyDegreeLevel(a)] - DEGREE_RANKS[classifyDegreeLevel(b)]);
+  
+  // extractExperienceLevel defaults to "entry" when nothing is stated, so only
+  // trust an entry level that the JD actually spells out
+  const level = extractExperienceLevel(jdText);
+  const levelStated = level !== 'entry' || /entry[\s-]level|junior|graduate|intern|fresher/i.test(jdText);
+  
+  return {
+    yearsRequired: extractYearsOfExperience(jdText),
+    degreeRequired: degrees[0] || null,
+    degreeLevel: degrees[0] ? classifyDegreeLevel(degrees[0]) : null,
+    level: levelStated ? level : null
   };
 }
 
@@ -146,15 +268,23 @@ function categorizeSkillImportance(jdText, terms) {
 }
 
 /**
- * STEP 5: Resume vs JD Matching
- * Match resume skills against weighted JD skills with semantic matching
+ * Detect sections and extract terms from a resume once, so it can be
+ * matched against any number of job descriptions
+ * document: what the parser learned about the file: { layout, parseability, file },
+ * plus importedResume for structured imports (JSON Resume)
  */
-function matchResumeToJD(resumeText, jdAnalysis) {
-  // Detect resume sections
-  const sections = detectSections(resumeText);
+function analyzeResumeStructure(resumeText, document = {}) {
+  const { layout = null, parseability = null, file = null, importedResume = null } = document;
+  
+  // Imported documents (JSON Resume) arrive split into sections, skills, jobs,
+  // education and contact; plain resumes are detected from text, using heading
+  // cues from the layout when available
+  const sections = importedResume
+    ? { ...importedResume.sections }
+    : detectSections(resumeText, { headings: layout ? layout.headings : undefined });
   
   // If no proper sections detected, treat entire text as experience
-  if (Object.keys(sections).length <= 1) {
+  if (!importedResume && Object.keys(sections).length <= 1) {
     sections.experience = resumeText;
     sections.skills = resumeText; // Fallback: treat whole resume as skills too
   }
@@ -162,13 +292,87 @@ function matchResumeToJD(resumeText, jdAnalysis) {
   // Extract skills from different sections
   const resumeSkills = extractSkills(resumeText);
   const resumePhrases = extractPhrases(resumeText);
-  const allResumeTerms = [...resumeSkills, ...resumePhrases]
-    .map(t => normalizeSkill(t))
-    .filter(t => t && t.length > 2); // Filter out empty/short terms
   
   // Extract from specific sections
-  const explicitSkills = sections.skills ? parseSkillsSection(sections.skills) : [];
-  const experienceJobs = sections.experience ? parseExperienceSection(sections.experience) : [];
+  const explicitSkills = importedResume
+    ? importedResume.skills
+    : (sections.skills ? parseSkillsSection(sections.skills) : []);
+  
+  // Listed skills the taxonomy knows (or knows as a misspelling) join the pool
+  // even when NLP extraction misses them, so hierarchy and aliases apply to them too
+  const knownListedSkills = explicitSkills.filter(s => resolveSkill(s) || correctSkillTypo(s));
+  
+  // Known skills mentioned anywhere (an experience bullet "...with Docker and
+  // Kubernetes") are terms of their own, as on the JD side
+  const mentionedSkills = findSkillsInText(resumeText);
+  
+  // Both forms of an acronym the resume uses are terms, so "SRE" in a JD finds
+  // "Site Reliability Engineering (SRE)" even when extraction splits it up
+  const acronyms = extractAcronyms(resumeText);
+  const acronymForms = acronyms
+    .flatMap(({ acronym, longForm }) => [acronym, longForm])
+    .filter(form => containsTerm(resumeText || '', form));
+  
+  // Short terms are noise unless they are known skills ("c#", "go", "r")
+  const allResumeTerms = [...new Set([
+    ...[...resumeSkills, ...resumePhrases, ...knownListedSkills, ...mentionedSkills]
+      .map(t => normalizeSkill(t))
+      .filter(t => t && (t.length > 2 || resolveSkill(t))),
+    ...acronymForms
+  ])];
+  const experienceJobs = importedResume
+    ? importedResume.jobs
+    : (sections.experience
+      ? parseExperienceSection(sections.experience, { listItems: layout ? layout.listItems : undefined })
+      : []);
+  
+  // Job header lines carry titles and date ranges, the best signal for seniority
+  const experienceText = sections.experience || resumeText;
+  const jobHeaders = experienceJobs.map(job => job.title).join('\n');
+  
+  return {
+    sections,
+    layout,
+    parseability,
+    file,
+    allResumeTerms,
+    explicitSkills,
+    experienceJobs,
+    acronyms,
+    totalExperienceYears: calculateTotalExperience(experienceText),
+    experienceLevel: extractExperienceLevel(jobHeaders || experienceText),
+    education: importedResume ? importedResume.education : extractEducationInfo(sections.education || resumeText),
+    contact: importedResume ? importedResume.contact : extractContactInfo(resumeText),
+    // Resume lines with section, job and offsets, for evidence locations
+    resumeLines: indexResumeLines(resumeText, sections, experienceJobs),
+    resumeMetrics: {
+      hasMetrics: hasQuantifiableMetrics(sections.experience || ''),
+      totalSkills: allResumeTerms.length,
+      explicitSkills: explicitSkills.length
+    }
+  };
+}
+
+/**
+ * STEP 5: Resume vs JD Matching
+ * Match resume skills against weighted JD skills with semantic matching
+ */
+function matchResumeToJD(
+  resumeText,
+  jdAnalysis,
+  resumeStructure = analyzeResumeStructure(resumeText),
+  profile = resolveScoringProfile()
+) {
+  const { strongMatch: strongThreshold, partialMatch: partialThreshold, typoTolerance } = profile.thresholds;
+  const { sections, allResumeTerms, explicitSkills, experienceJobs, resumeLines, resumeMetrics, parseability, file } = resumeStructure;
+  const qualifications = evaluateQualifications(resumeStructure, jdAnalysis.qualifications);
+  
+  // Acronyms either document defines count for both ("SRE" in the JD, "Site
+  // Reliability Engineering" in the resume)
+  const acronyms = mergeAcronyms(jdAnalysis.acronyms || [], resumeStructure.acronyms || []);
+  
+  // Similarity in meaning (related-terms list) at which an unmatched term becomes a partial match
+  const semanticThreshold = profile.semanticMatching ? profile.thresholds.semanticMatch : null;
   
   // Match JD terms against resume
   const matches = {
@@ -177,14 +381,18 @@ function matchResumeToJD(resumeText, jdAnalysis) {
     missing: []
   };
   
+  // Skills section entries in canonical form, so "Postgres" counts as listing "postgresql"
+  const listedSkills = new Set(explicitSkills.map(s => normalizeSkill(s)));
+  
   jdAnalysis.weightedTerms.forEach(jdTerm => {
-    // Try with typo tolerance first
-    const bestMatch = findBestMatchWithTypoTolerance(jdTerm.term, allResumeTerms, 0.70);
+    const { bestMatch, finalMatch } = matchTerm(jdTerm.term, allResumeTerms, typoTolerance, acronyms);
     
-    // Fallback to original matching if typo-tolerant matching didn't find anything
-    const finalMatch = bestMatch.match ? bestMatch : findBestMatch(jdTerm.term, allResumeTerms);
+    // Meaning is only consulted for terms that spelling and the taxonomy leave unmatched
+    const semanticMatch = finalMatch.score < partialThreshold && semanticThreshold !== null
+      ? findBestSemanticMatch(jdTerm.term, allResumeTerms)
+      : null;
     
-    if (finalMatch.score >= 0.65) {
+    if (finalMatch.score >= strongThreshold) {
       // Strong match - industry standard threshold
       matches.strongMatch.push({
         jdTerm: jdTerm.term,
@@ -192,11 +400,14 @@ function matchResumeToJD(resumeText, jdAnalysis) {
         score: finalMatch.score,
         weight: jdTerm.weight,
         isRequired: jdTerm.isRequired,
-        inSkillsSection: explicitSkills.includes(finalMatch.match),
+        inSkillsSection: listedSkills.has(finalMatch.match),
         inExperience: isTermInExperience(finalMatch.match, experienceJobs),
-        typoCorrection: bestMatch.corrected || false
+        typoCorrection: (!finalMatch.impliedBy && bestMatch.corrected) || false,
+        impliedBy: finalMatch.impliedBy || null,
+        matchType: finalMatch.impliedBy ? 'implied' : 'lexical',
+        evidence: findTermLocations(finalMatch.match, resumeLines)
       });
-    } else if (finalMatch.score >= 0.45) {
+    } else if (finalMatch.score >= partialThreshold) {
       // Partial match - very low threshold matching industry standards
       matches.partialMatch.push({
         jdTerm: jdTerm.term,
@@ -204,7 +415,25 @@ function matchResumeToJD(resumeText, jdAnalysis) {
         score: finalMatch.score,
         weight: jdTerm.weight,
         isRequired: jdTerm.isRequired,
-        typoCorrection: bestMatch.corrected || false
+        typoCorrection: (!finalMatch.impliedBy && bestMatch.corrected) || false,
+        impliedBy: finalMatch.impliedBy || null,
+        matchType: finalMatch.impliedBy ? 'implied' : 'lexical',
+        evidence: findTermLocations(finalMatch.match, resumeLines)
+      });
+    } else if (semanticMatch && semanticMatch.similarity >= semanticThreshold) {
+      // Related in meaning only ("container orchestration" / "Kubernetes"): never
+      // more than a partial match, scored by the semantic similarity
+      matches.partialMatch.push({
+        jdTerm: jdTerm.term,
+        resumeTerm: semanticMatch.match,
+        score: semanticMatch.similarity,
+        weight: jdTerm.weight,
+        isRequired: jdTerm.isRequired,
+        typoCorrection: false,
+        impliedBy: null,
+        matchType: 'semantic',
+        semanticSimilarity: semanticMatch.similarity,
+        evidence: findTermLocations(semanticMatch.match, resumeLines)
       });
     } else {
       // Missing
@@ -222,22 +451,260 @@ function matchResumeToJD(resumeText, jdAnalysis) {
     sections,
     experienceJobs,
     explicitSkills,
-    resumeMetrics: {
-      hasMetrics: hasQuantifiableMetrics(sections.experience || ''),
-      totalSkills: allResumeTerms.length,
-      explicitSkills: explicitSkills.length
+    resumeMetrics,
+    qualifications,
+    acronymGaps: findAcronymGaps([...matches.strongMatch, ...matches.partialMatch], acronyms, resumeLines),
+    // Whole-document TF-IDF similarity, independent of which terms matched
+    relevance: scoreDocumentRelevance(resumeText, jdAnalysis.contentText),
+    parseability,
+    file
+  };
+}
+
+/**
+ * Best resume term for one JD term
+ * Returns { bestMatch, finalMatch }: bestMatch is the lexical match (with its
+ * corrected flag), finalMatch the higher scoring of lexical and implied matches.
+ * acronyms: acronym map of both documents; an acronym and its long form are equivalent.
+ */
+function matchTerm(term, resumeTerms, typoTolerance, acronyms = []) {
+  // Token-aware: taxonomy equivalents, shared words and genuine typos only
+  const bestMatch = [term, ...expandAcronym(term, acronyms)]
+    .map(form => findBestSkillMatch(form, resumeTerms, typoTolerance))
+    .reduce((best, match) => (match.score > best.score ? match : best));
+  
+  // A more specific resume skill gives full or partial credit to a broader
+  // JD term (PostgreSQL -> relational databases); use it if it scores higher
+  const impliedMatch = findImpliedMatch(term, resumeTerms);
+  const finalMatch = impliedMatch && impliedMatch.score > bestMatch.score ? impliedMatch : bestMatch;
+  
+  return { bestMatch, finalMatch };
+}
+
+/**
+ * STEP 5b: Requirement Coverage
+ * Score each JD requirement bullet against the resume. Its terms, years, degree
+ * and seniority are checks scored 0-1; their mean decides met / partial / not met.
+ * Evidence is the resume lines (with offsets) that mention what matched.
+ * acronyms: acronym map of both documents (defaults to the resume's own)
+ */
+function evaluateRequirementCoverage(
+  requirements,
+  resumeStructure,
+  profile = resolveScoringProfile(),
+  acronyms = resumeStructure.acronyms || []
+) {
+  const { strongMatch: strongThreshold, partialMatch: partialThreshold, typoTolerance } = profile.thresholds;
+  const { allResumeTerms, resumeLines } = resumeStructure;
+  const resumeText = resumeLines.map(line => line.text).join('\n');
+  
+  const results = requirements.map(requirement => {
+    const checks = [];
+    const evidenceTerms = [];
+    
+    (requirement.terms || []).forEach(term => {
+      // Extracted resume terms can miss words the resume does use ("communication"
+      // inside "strong communication skills"), so a verbatim mention also counts
+      const mentioned = [term, ...expandAcronym(term, acronyms)]
+        .find(form => termForms(form).some(variant => containsTerm(resumeText, variant)));
+      if (mentioned) {
+        checks.push({ type: 'term', term, matchedAs: mentioned, score: 1 });
+        evidenceTerms.push(mentioned);
+        return;
+      }
+      const { finalMatch } = matchTerm(term, allResumeTerms, typoTolerance, acronyms);
+      const score = finalMatch.score >= strongThreshold ? 1 : finalMatch.score >= partialThreshold ? 0.5 : 0;
+      checks.push({ type: 'term', term, matchedAs: score > 0 ? finalMatch.match : null, score });
+      if (score > 0) evidenceTerms.push(finalMatch.match);
+    });
+    
+    // Years, degree and seniority use the same scoring as the JD-wide qualification checks
+    const qualifications = evaluateQualifications(resumeStructure, {
+      yearsRequired: requirement.years || 0,
+      degreeRequired: requirement.degree,
+      degreeLevel: requirement.degreeLevel,
+      level: requirement.level
+    });
+    if (requirement.years) {
+      const { requiredYears, resumeYears, score } = qualifications.experience;
+      checks.push({ type: 'years', required: requiredYears, actual: resumeYears, score });
+    }
+    if (requirement.degree) {
+      const { requiredLevel, highestLevel, resumeDegrees, score } = qualifications.education;
+      checks.push({ type: 'degree', required: requiredLevel || requirement.degree, actual: highestLevel, score });
+      if (score > 0) evidenceTerms.push(...resumeDegrees);
     }
+    if (requirement.level) {
+      const { requiredLevel, resumeLevel, score } = qualifications.seniority;
+      checks.push({ type: 'level', required: requiredLevel, actual: resumeLevel, score });
+    }
+    
+    // Soft requirements with nothing to check ("Strong communication") fall back
+    // to how many of their words the resume uses
+    if (checks.length === 0) {
+      const words = [...new Set(removeCommonWords(requirement.text.toLowerCase()).split(/[^\w+#.-]+/))]
+        .filter(word => word.length > 3);
+      const found = words.filter(word => containsTerm(resumeText, word));
+      checks.push({ type: 'wording', required: words.length, actual: found.length, score: words.length > 0 ? found.length / words.length : 0 });
+      evidenceTerms.push(...found);
+    }
+    
+    const score = checks.reduce((sum, check) => sum + check.score, 0) / checks.length;
+    return {
+      id: requirement.id,
+      text: requirement.text,
+      section: requirement.section,
+      importance: requirement.importance,
+      status: score >= REQUIREMENT_MET_SCORE ? 'met' : score > 0 ? 'partial' : 'not-met',
+      score: roundTo(score, 2),
+      checks,
+      evidence: findEvidence(evidenceTerms, resumeLines)
+    };
+  });
+  
+  // Preferred requirements count half as much as required ones
+  const weightOf = (result) => (result.importance === 'required' ? 1 : 0.5);
+  const creditOf = (result) => ({ met: 1, partial: 0.5 }[result.status] || 0);
+  const totalWeight = results.reduce((sum, result) => sum + weightOf(result), 0);
+  const earned = results.reduce((sum, result) => sum + weightOf(result) * creditOf(result), 0);
+  
+  return {
+    percentage: totalWeight > 0 ? Math.round((earned / totalWeight) * 100) : null,
+    total: results.length,
+    met: results.filter(result => result.status === 'met').length,
+    partial: results.filter(result => result.status === 'partial').length,
+    notMet: results.filter(result => result.status === 'not-met').length,
+    requirements: results
+  };
+}
+
+/**
+ * Helper: Resume lines mentioning any of the terms, experience bullets first,
+ * one location per line
+ */
+function findEvidence(terms, resumeLines) {
+  const byLine = new Map();
+  [...new Set(terms)].filter(Boolean).forEach(term => {
+    findTermLocations(term, resumeLines).forEach(location => {
+      const key = `${location.section}:${location.text}`;
+      if (!byLine.has(key)) byLine.set(key, location);
+    });
+  });
+  
+  return Array.from(byLine.values())
+    .sort((a, b) => (b.job !== null) - (a.job !== null) || a.start - b.start)
+    .slice(0, MAX_EVIDENCE_LINES);
+}
+
+/**
+ * Compare resume experience, education, seniority and contact details
+ * against the JD requirements. Each check carries a 0-1 score.
+ */
+function evaluateQualifications(resumeStructure, jdQualifications = {}) {
+  const { yearsRequired = 0, degreeRequired = null, degreeLevel = null, level = null } = jdQualifications;
+  
+  // Experience years
+  const resumeYears = resumeStructure.totalExperienceYears || 0;
+  const experience = {
+    requiredYears: yearsRequired,
+    resumeYears,
+    meets: resumeYears >= yearsRequired,
+    score: yearsRequired > 0 ? Math.min(1, resumeYears / yearsRequired) : 1.0
+  };
+  
+  // Education
+  const resumeDegrees = resumeStructure.education?.degrees || [];
+  const highestRank = Math.max(0, ...resumeDegrees.map(d => DEGREE_RANKS[classifyDegreeLevel(d)] || 0));
+  const highestLevel = Object.keys(DEGREE_RANKS).find(key => DEGREE_RANKS[key] === highestRank) || null;
+  const meetsDegree = !degreeRequired || resumeDegrees.some(d => meetsEducationRequirement(d, degreeRequired));
+  const education = {
+    requiredDegree: degreeRequired,
+    requiredLevel: degreeLevel,
+    resumeDegrees,
+    highestLevel,
+    meets: meetsDegree,
+    score: meetsDegree ? 1.0 : highestRank > 0 ? 0.5 : 0.0
+  };
+  
+  // Seniority: being above the asked level is fine, each level below halves credit
+  const resumeLevel = resumeStructure.experienceLevel || null;
+  const levelGap = level ? (LEVEL_RANKS[level] || 0) - (LEVEL_RANKS[resumeLevel] || 0) : 0;
+  const seniority = {
+    requiredLevel: level,
+    resumeLevel,
+    meets: levelGap <= 0,
+    score: levelGap <= 0 ? 1.0 : levelGap === 1 ? 0.5 : 0.0
+  };
+  
+  // Contact details recruiters and ATS parsers look for
+  const info = resumeStructure.contact || {};
+  const present = {
+    email: (info.emails || []).length > 0,
+    phone: (info.phones || []).length > 0,
+    linkedin: !!info.linkedin
+  };
+  const missing = Object.keys(present).filter(key => !present[key]);
+  const contact = {
+    ...present,
+    missing,
+    score: (Object.keys(present).length - missing.length) / Object.keys(present).length
   };
+  
+  return { experience, education, seniority, contact };
+}
+
+/**
+ * Find the resume skill that gives the most taxonomy credit to a broader JD term
+ * Returns { match, score, impliedBy } or null
+ */
+function findImpliedMatch(jdTerm, resumeTerms) {
+  let best = null;
+  
+  resumeTerms.forEach(term => {
+    if (term === jdTerm) return;
+    const credit = getAncestorCredits(term).get(jdTerm) || 0;
+    if (credit > 0 && (!best || credit > best.score)) {
+      best = { match: term, score: credit, impliedBy: term };
+    }
+  });
+  
+  return best;
 }
 
 /**
- * Check if term is mentioned in experience section
+ * Matched JD terms whose acronym pair the resume writes in one form only
+ * Returns [{ term, acronym, longForm, resumeForm, isRequired }], one per acronym
+ */
+function findAcronymGaps(matches, acronyms, resumeLines) {
+  const resumeText = resumeLines.map(line => line.text).join('\n');
+  const gaps = [];
+  const seen = new Set();
+  
+  matches.forEach(match => {
+    acronyms
+      .filter(({ acronym, longForm }) => match.jdTerm === acronym || match.jdTerm === longForm)
+      .forEach(({ acronym, longForm }) => {
+        const usesAcronym = containsTerm(resumeText, acronym);
+        if (seen.has(acronym) || usesAcronym === containsTerm(resumeText, longForm)) return;
+        seen.add(acronym);
+        gaps.push({ term: match.jdTerm, acronym, longForm, resumeForm: usesAcronym ? acronym : longForm, isRequired: match.isRequired });
+      });
+  });
+  
+  return gaps;
+}
+
+/**
+ * Check if term (or one of its taxonomy aliases) is mentioned in experience section
  */
 function isTermInExperience(term, experienceJobs) {
+  const forms = termForms(term);
+  
   return experienceJobs.some(job => 
-    job.bullets.some(bullet => 
-      bullet.toLowerCase().includes(term.toLowerCase())
-    )
+    job.bullets.some(bullet => {
+      const lower = bullet.toLowerCase();
+      return forms.some(form => lower.includes(form));
+    })
   );
 }
 
@@ -316,7 +783,11 @@ function generateInsights(matchResults, jdAnalysis) {
       insights.push({
         type: 'warning',
         category: 'partial_match',
-        message: `"${match.jdTerm}" partially matches "${match.resumeTerm}" (${Math.round(match.score * 100)}% similarity)`,
+        message: match.impliedBy
+          ? `"${match.jdTerm}" is only partly implied by "${match.impliedBy}" (${Math.round(match.score * 100)}% credit)`
+          : match.matchType === 'semantic'
+            ? `"${match.jdTerm}" is only related in meaning to "${match.resumeTerm}" (${Math.round(match.semanticSimilarity * 100)}% semantic similarity)`
+            : `"${match.jdTerm}" partially matches "${match.resumeTerm}" (${Math.round(match.score * 100)}% similarity)`,
         suggestion: `Consider using the exact term "${match.jdTerm}" for better ATS matching`,
         priority: 'medium'
       });
@@ -334,25 +805,132 @@ function generateInsights(matchResults, jdAnalysis) {
     });
   }
   
+  // 8. Qualifications: experience years, degree, seniority, contact details
+  insights.push(...generateQualificationInsights(matchResults.qualifications));
+  
+  // 9. File-level problems: columns, tables, text boxes, scanned pages, ...
+  insights.push(...generateParseabilityInsights(matchResults.parseability));
+  
+  // 10. Acronyms written one way only: many ATS keyword searches look for a single form
+  (matchResults.acronymGaps || []).forEach(gap => {
+    const acronym = gap.acronym.toUpperCase();
+    const used = gap.resumeForm === gap.acronym ? acronym : gap.longForm;
+    const unused = gap.resumeForm === gap.acronym ? gap.longForm : acronym;
+    insights.push({
+      type: 'optimization',
+      category: 'acronym_form',
+      message: `Resume says "${used}" but never "${unused}"`,
+      suggestion: `Write both forms at least once, e.g. "${gap.longForm} (${acronym})", since many ATS keyword searches only look for one of them`,
+      priority: gap.isRequired ? 'medium' : 'low'
+    });
+  });
+  
   return insights.sort((a, b) => {
     const priorityOrder = { high: 0, medium: 1, low: 2 };
     return priorityOrder[a.priority] - priorityOrder[b.priority];
   });
 }
 
+/**
+ * Insights for experience, education, seniority and contact checks
+ */
+function generateQualificationInsights(qualifications) {
+  if (!qualifications) return [];
+  
+  const insights = [];
+  const { experience, education, seniority, contact } = qualifications;
+  
+  if (!experience.meets) {
+    insights.push({
+      type: experience.score < 0.6 ? 'critical' : 'warning',
+      category: 'experience_gap',
+      message: `Job asks for ${experience.requiredYears}+ years of experience; resume dates add up to about ${experience.resumeYears} years`,
+      suggestion: 'Give every role explicit start and end dates (e.g. "Jan 2020 - Present") and include relevant earlier roles, internships or freelance work',
+      priority: experience.score < 0.6 ? 'high' : 'medium'
+    });
+  }
+  
+  if (!education.meets) {
+    insights.push({
+      type: 'critical',
+      category: 'education_gap',
+      message: education.highestLevel
+        ? `Job requires a ${education.requiredLevel} degree; highest degree found is ${education.highestLevel}`
+        : `Job requires a ${education.requiredLevel} degree but no degree was found in resume`,
+      suggestion: 'List your degree with its full name (e.g. "Bachelor of Science in Computer Science") in an Education section, or highlight equivalent experience',
+      priority: 'high'
+    });
+  }
+  
+  if (!seniority.meets) {
+    insights.push({
+      type: 'warning',
+      category: 'seniority_mismatch',
+      message: `Job is ${seniority.requiredLevel}-level; resume reads as ${seniority.resumeLevel}-level`,
+      suggestion: 'Emphasize ownership, leadership and scope (team size, systems owned, decisions made) in your most recent roles',
+      priority: 'medium'
+    });
+  }
+  
+  const contactLabels = { email: 'email address', phone: 'phone number', linkedin: 'LinkedIn profile URL' };
+  contact.missing.forEach(field => {
+    insights.push({
+      type: field === 'linkedin' ? 'improvement' : 'critical',
+      category: 'missing_contact',
+      message: `No ${contactLabels[field]} found in resume`,
+      suggestion: `Add your ${contactLabels[field]} to the resume header`,
+      priority: field === 'email' ? 'high' : field === 'phone' ? 'medium' : 'low'
+    });
+  });
+  
+  return insights;
+}
+
+/**
+ * Insights for issues in the uploaded file itself (see parseResumeDocument)
+ */
+function generateParseabilityInsights(parseability) {
+  if (!parseability) return [];
+  
+  const typeBySeverity = { high: 'critical', medium: 'warning', low: 'improvement' };
+  return parseability.issues.map(issue => ({
+    type: typeBySeverity[issue.severity],
+    category: 'parseability',
+    message: issue.message,
+    suggestion: issue.suggestion,
+    priority: issue.severity
+  }));
+}
+
+// Human-readable names for score components, used in the breakdown
+const COMPONENT_LABELS = {
+  skillMatch: 'Skill match',
+  requiredMatch: 'Required skills',
+  demonstration: 'Skills demonstrated in experience',
+  structure: 'Resume structure',
+  metrics: 'Quantifiable achievements',
+  experience: 'Years of experience',
+  education: 'Education',
+  seniority: 'Seniority alignment',
+  contact: 'Contact details',
+  relevance: 'Document relevance'
+};
+
 /**
  * STEP 7: Calculate ATS Score
  * Calculate overall ATS compatibility score (0-100) with generous weighting
  */
-function calculateATSScore(matchResults, insights) {
-  // Define normalized weights that sum to 1.0
-  const WEIGHTS = {
-    skillMatch: 0.55,      // 55% - Skill matching is most critical
-    requiredMatch: 0.18,   // 18% - Meeting required skills
-    demonstration: 0.10,   // 10% - Demonstrating skills in experience
-    structure: 0.10,       // 10% - Resume structure quality
-    metrics: 0.07          // 7% - Quantifiable achievements
-  };
+function calculateATSScore(matchResults, insights, profile) {
+  return calculateATSScoreBreakdown(matchResults, insights, profile).finalScore;
+}
+
+/**
+ * Calculate the ATS score and record every step that produced it:
+ * component values and weights, multiplier, floor, bonuses and cap
+ */
+function calculateATSScoreBreakdown(matchResults, insights, profile = resolveScoringProfile()) {
+  // Normalized weights that sum to 1.0 (validated when the profile is loaded)
+  const WEIGHTS = profile.weights;
   
   // Calculate normalized scores (0-1 range) for each component
   const componentScores = {
@@ -360,51 +938,123 @@ function calculateATSScore(matchResults, insights) {
     requiredMatch: calculateRequiredMatchScore(matchResults),
     demonstration: calculateDemonstrationScore(matchResults),
     structure: calculateStructureScore(matchResults),
-    metrics: matchResults.resumeMetrics?.hasMetrics ? 1.0 : 0.0
+    metrics: matchResults.resumeMetrics?.hasMetrics ? 1.0 : 0.0,
+    experience: matchResults.qualifications?.experience.score ?? 1.0,
+    education: matchResults.qualifications?.education.score ?? 1.0,
+    seniority: matchResults.qualifications?.seniority.score ?? 1.0,
+    contact: matchResults.qualifications?.contact.score ?? 1.0,
+    relevance: matchResults.relevance?.score ?? 0.0
   };
   
-  // Calculate weighted average
-  let finalScore = 0;
-  for (const [component, weight] of Object.entries(WEIGHTS)) {
-    finalScore += componentScores[component] * weight;
-  }
+  // Calculate weighted average; contribution is in points on the 0-100 scale
+  const components = Object.entries(WEIGHTS).map(([component, weight]) => ({
+    name: component,
+    label: COMPONENT_LABELS[component],
+    raw: roundTo(componentScores[component], 3),
+    weight,
+    contribution: roundTo(componentScores[component] * weight * 100, 2)
+  }));
   
-  // Convert to 0-100 scale with industry-standard multiplier
-  let score = finalScore * 100;
+  // Convert to 0-100 scale
+  const weightedScore = Object.entries(WEIGHTS)
+    .reduce((sum, [component, weight]) => sum + componentScores[component] * weight, 0) * 100;
+  let score = weightedScore;
   
   // Apply industry adjustment multiplier (ATS systems tend to be generous)
-  score = score * 1.4; // 40% boost to match industry standards
+  const multiplierValue = profile.industryMultiplier;
+  score = score * multiplierValue;
+  const multiplier = {
+    value: multiplierValue,
+    scoreBefore: roundTo(weightedScore, 2),
+    scoreAfter: roundTo(score, 2),
+    reason: 'Industry adjustment: commercial ATS scores run higher than a raw weighted average'
+  };
   
   // Add a base score to ensure resumes don't score too low
-  const baseScore = 20; // Minimum 20 points for any resume that was parsed
+  const baseScore = profile.baseScore;
+  const scoreBeforeFloor = score;
   score = Math.max(score, baseScore);
+  const floor = {
+    value: baseScore,
+    applied: scoreBeforeFloor < baseScore,
+    scoreBefore: roundTo(scoreBeforeFloor, 2),
+    scoreAfter: roundTo(score, 2),
+    reason: `Any parsed resume scores at least ${baseScore}`
+  };
   
   // More generous bonuses for comprehensive resumes
+  const bonuses = [];
+  const bonusesEnabled = profile.bonuses;
   const strongMatchCount = matchResults.matches.strongMatch.length;
   const partialMatchCount = matchResults.matches.partialMatch.length;
   
   // Bonus for ANY strong matches
-  if (strongMatchCount > 0) {
-    score += Math.min(12, strongMatchCount * 0.8); // Up to +12 points
+  if (bonusesEnabled && strongMatchCount > 0) {
+    bonuses.push({
+      name: 'strongMatches',
+      points: Math.min(12, strongMatchCount * 0.8), // Up to +12 points
+      reason: `${strongMatchCount} strong skill match(es) at 0.8 points each, up to 12`
+    });
   }
   
   // Bonus for having partial matches (shows relevance)
-  if (partialMatchCount > 0) {
-    score += Math.min(8, partialMatchCount * 0.5); // Up to +8 points
+  if (bonusesEnabled && partialMatchCount > 0) {
+    bonuses.push({
+      name: 'partialMatches',
+      points: Math.min(8, partialMatchCount * 0.5), // Up to +8 points
+      reason: `${partialMatchCount} partial skill match(es) at 0.5 points each, up to 8`
+    });
   }
   
   // Bonus for structure
-  if (matchResults.sections && matchResults.sections.skills && matchResults.sections.experience) {
-    score += 5; // +5 for good structure
+  if (bonusesEnabled && matchResults.sections && matchResults.sections.skills && matchResults.sections.experience) {
+    bonuses.push({
+      name: 'structure',
+      points: 5, // +5 for good structure
+      reason: 'Resume has both a Skills and an Experience section'
+    });
   }
   
   // Bonus for having experience section with metrics
-  if (matchResults.resumeMetrics?.hasMetrics) {
-    score += 3; // +3 for quantifiable achievements
+  if (bonusesEnabled && matchResults.resumeMetrics?.hasMetrics) {
+    bonuses.push({
+      name: 'metrics',
+      points: 3, // +3 for quantifiable achievements
+      reason: 'Experience includes quantifiable achievements'
+    });
   }
   
+  bonuses.forEach(bonus => {
+    bonus.points = roundTo(bonus.points, 2);
+    score += bonus.points;
+  });
+  
   // Cap at 100
-  return Math.round(Math.min(100, score));
+  const cap = {
+    value: 100,
+    applied: score > 100,
+    scoreBefore: roundTo(score, 2)
+  };
+  const finalScore = Math.round(Math.min(100, score));
+  
+  return {
+    profile: profile.name,
+    components,
+    weightedScore: roundTo(weightedScore, 2),
+    multiplier,
+    floor,
+    bonuses,
+    cap,
+    finalScore
+  };
+}
+
+/**
+ * Helper: Round to a fixed number of decimals
+ */
+function roundTo(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
 }
 
 /**
@@ -566,37 +1216,67 @@ function isQualifierTerm(term) {
 
 /**
  * Main function: Complete ATS Analysis
+ * options.scoringProfile: a profile from resolveScoringProfile (defaults to "default")
+ * options.layout: document layout from parseResumeDocument, used for section detection
+ * options.parseability: file parseability report from parseResumeDocument, turned into insights
+ * options.file: uploaded file details from parseResumeDocument (name, detected type), echoed in the result
  */
-function performATSAnalysis(resumeText, jdText) {
+function performATSAnalysis(resumeText, jdText, options = {}) {
   // Analyze JD
   const jdAnalysis = analyzeJobDescription(jdText);
   
+  const resumeStructure = analyzeResumeStructure(resumeText, options);
+  
+  return analyzeResumeAgainstJD(resumeText, jdAnalysis, resumeStructure, options.scoringProfile);
+}
+
+/**
+ * Run matching, insights and scoring for one resume against an analyzed JD
+ */
+function analyzeResumeAgainstJD(resumeText, jdAnalysis, resumeStructure, profile = resolveScoringProfile()) {
   // Match resume to JD
-  const matchResults = matchResumeToJD(resumeText, jdAnalysis);
+  const matchResults = matchResumeToJD(resumeText, jdAnalysis, resumeStructure, profile);
   
   // Generate insights
   const insights = generateInsights(matchResults, jdAnalysis);
   
-  // Calculate score
-  const atsScore = calculateATSScore(matchResults, insights);
+  // Calculate score, keeping the steps that produced it
+  const scoreBreakdown = calculateATSScoreBreakdown(matchResults, insights, profile);
+  const atsScore = scoreBreakdown.finalScore;
   
   // Build improvement checklist
   const checklist = buildImprovementChecklist(insights, matchResults);
   
+  // Requirement-by-requirement view of the same match
+  const acronyms = mergeAcronyms(jdAnalysis.acronyms || [], resumeStructure.acronyms || []);
+  const coverage = evaluateRequirementCoverage(jdAnalysis.requirements || [], resumeStructure, profile, acronyms);
+  
+  const highlights = buildHighlights(resumeText, resumeStructure, jdAnalysis, matchResults.matches);
+  
   return {
     atsScore,
+    requirementCoverage: coverage.percentage,
+    scoreBreakdown,
     strongMatches: matchResults.matches.strongMatch.map(m => ({
       skill: m.jdTerm,
       matchedAs: m.resumeTerm,
       inSkillsSection: m.inSkillsSection,
       demonstrated: m.inExperience,
-      importance: m.isRequired ? 'required' : 'preferred'
+      importance: m.isRequired ? 'required' : 'preferred',
+      impliedBy: m.impliedBy,
+      matchType: m.matchType,
+      evidence: m.evidence
     })),
     partialMatches: matchResults.matches.partialMatch.map(m => ({
       skill: m.jdTerm,
       matchedAs: m.resumeTerm,
       similarity: Math.round(m.score * 100),
-      importance: m.isRequired ? 'required' : 'preferred'
+      importance: m.isRequired ? 'required' : 'preferred',
+      impliedBy: m.impliedBy,
+      // "semantic" matches were found by meaning; their similarity is reported separately
+      matchType: m.matchType,
+      semanticSimilarity: m.matchType === 'semantic' ? Math.round(m.semanticSimilarity * 100) : null,
+      evidence: m.evidence
     })),
     missingSkills: matchResults.matches.missing.map(m => ({
       skill: m.term,
@@ -610,11 +1290,223 @@ function performATSAnalysis(resumeText, jdText) {
       skillCount: matchResults.resumeMetrics.explicitSkills,
       sections: Object.keys(matchResults.sections)
     },
+    qualifications: matchResults.qualifications,
+    relevance: matchResults.relevance ? {
+      score: Math.round(matchResults.relevance.score * 100),
+      cosine: roundTo(matchResults.relevance.cosine, 3),
+      sharedTerms: matchResults.relevance.sharedTerms
+    } : null,
+    jdBreakdown: {
+      sections: Object.keys(jdAnalysis.sections || {}),
+      requirements: jdAnalysis.requirements || []
+    },
+    coverage,
+    highlights,
+    acronyms: {
+      resume: resumeStructure.acronyms || [],
+      jobDescription: jdAnalysis.acronyms || []
+    },
+    parseability: matchResults.parseability || null,
+    file: matchResults.file || null,
     insights,
-    checklist
+    checklist,
+    scoringProfile: describeProfile(profile)
+  };
+}
+
+/**
+ * Helper: Profile settings echoed in the result
+ */
+function describeProfile(profile) {
+  const { name, description, weights, thresholds, industryMultiplier, baseScore, bonuses, semanticMatching } = profile;
+  return { name, description, weights, thresholds, industryMultiplier, baseScore, bonuses, semanticMatching };
+}
+
+/**
+ * Batch screening: rank many resumes against one JD
+ * The JD is analyzed once and reused for every candidate.
+ * resumes: [{ name, text, layout?, parseability? }]
+ * Returns { candidates, failures }: a resume whose analysis throws becomes a
+ * failure ({ name, error }) instead of failing the batch.
+ */
+function performBatchAnalysis(resumes, jdText, options = {}) {
+  const jdAnalysis = analyzeJobDescription(jdText);
+  
+  const candidates = [];
+  const failures = [];
+  resumes.forEach(resume => {
+    try {
+      const resumeStructure = analyzeResumeStructure(resume.text, resume);
+      const analysis = analyzeResumeAgainstJD(resume.text, jdAnalysis, resumeStructure, options.scoringProfile);
+      candidates.push({
+        name: resume.name,
+        atsScore: analysis.atsScore,
+        requirementCoverage: analysis.requirementCoverage,
+        strongMatchCount: analysis.strongMatches.length,
+        partialMatchCount: analysis.partialMatches.length,
+        missingRequired: analysis.missingSkills
+          .filter(m => m.importance === 'required')
+          .map(m => m.skill),
+        analysis
+      });
+    } catch (error) {
+      failures.push({ name: resume.name, error });
+    }
+  });
+  
+  // Highest score first; more strong matches breaks ties
+  candidates.sort((a, b) =>
+    b.atsScore - a.atsScore || b.strongMatchCount - a.strongMatchCount
+  );
+  
+  return {
+    candidates: candidates.map((candidate, index) => ({ rank: index + 1, ...candidate })),
+    failures
+  };
+}
+
+/**
+ * Multi-JD mode: score one resume against several job descriptions
+ * The resume is sectioned and its skills extracted once.
+ * jobDescriptions: [string | { title, text }]
+ */
+function performMultiJDAnalysis(resumeText, jobDescriptions, options = {}) {
+  const resumeStructure = analyzeResumeStructure(resumeText, options);
+  
+  const results = jobDescriptions.map((jd, index) => {
+    const text = typeof jd === 'string' ? jd : jd.text;
+    const title = (typeof jd === 'object' && jd.title) || deriveJobTitle(text, index);
+    const analysis = analyzeResumeAgainstJD(resumeText, analyzeJobDescription(text), resumeStructure, options.scoringProfile);
+    return { index, title, analysis };
+  });
+  
+  const comparison = results
+    .map(({ index, title, analysis }) => ({
+      index,
+      title,
+      atsScore: analysis.atsScore,
+      requirementCoverage: analysis.requirementCoverage,
+      strongMatchCount: analysis.strongMatches.length,
+      partialMatchCount: analysis.partialMatches.length,
+      missingCount: analysis.missingSkills.length,
+      missingRequiredCount: analysis.missingSkills.filter(m => m.importance === 'required').length
+    }))
+    .sort((a, b) => b.atsScore - a.atsScore || a.missingRequiredCount - b.missingRequiredCount);
+  
+  // Count, for every missing skill, the roles it is missing from
+  const missingByRole = new Map();
+  results.forEach(({ title, analysis }) => {
+    analysis.missingSkills.forEach(m => {
+      if (!missingByRole.has(m.skill)) {
+        missingByRole.set(m.skill, { skill: m.skill, roles: [], requiredIn: 0 });
+      }
+      const entry = missingByRole.get(m.skill);
+      entry.roles.push(title);
+      if (m.importance === 'required') entry.requiredIn++;
+    });
+  });
+  
+  const missingEntries = Array.from(missingByRole.values())
+    .map(entry => ({ ...entry, roleCount: entry.roles.length }));
+  
+  const sharedMissingSkills = results.length > 1
+    ? missingEntries.filter(entry => entry.roleCount === results.length).map(entry => entry.skill)
+    : [];
+  
+  // Skills missing as a requirement from the most roles unlock the most roles when added
+  const skillsToUnlock = missingEntries
+    .filter(entry => entry.requiredIn > 0)
+    .sort((a, b) => b.requiredIn - a.requiredIn || b.roleCount - a.roleCount)
+    .slice(0, 10);
+  
+  return {
+    mode: 'multi-jd',
+    bestFit: comparison[0] || null,
+    comparison,
+    sharedMissingSkills,
+    skillsToUnlock,
+    results
   };
 }
 
+/**
+ * Helper: Use a short first line as the job title, else a positional label
+ */
+function deriveJobTitle(jdText, index) {
+  const firstLine = (jdText || '').split('\n').map(l => l.trim()).find(Boolean);
+  return firstLine && firstLine.length <= 80 ? firstLine : `Job ${index + 1}`;
+}
+
+/**
+ * Highlight ranges for the resume and JD viewers
+ * resume: mentions of matched terms (strong / partial) with the JD terms they
+ * satisfy, and section headings; jobDescription: mentions of missing terms.
+ * Offsets index the extracted resume text and the JD as submitted, and ranges
+ * never overlap (strong beats partial, required beats preferred, longer wins).
+ */
+function buildHighlights(resumeText, resumeStructure, jdAnalysis, matches) {
+  // One range per resume location, collecting every JD term it satisfies
+  const byLocation = new Map();
+  [['strong', matches.strongMatch], ['partial', matches.partialMatch]].forEach(([type, list]) => {
+    list.forEach(match => {
+      (match.evidence || []).forEach(({ start, end, section }) => {
+        const key = `${start}:${end}`;
+        if (!byLocation.has(key)) {
+          byLocation.set(key, { start, end, type, section, matchedAs: match.resumeTerm, jdTerms: [], importance: 'preferred' });
+        }
+        const range = byLocation.get(key);
+        if (!range.jdTerms.includes(match.jdTerm)) range.jdTerms.push(match.jdTerm);
+        if (match.isRequired) range.importance = 'required';
+      });
+    });
+  });
+  
+  // Lines section detection consumed as headings are the ones no section holds
+  const { resumeLines = [] } = resumeStructure;
+  const indexed = new Set(resumeLines.map(line => line.start));
+  const headings = [];
+  let offset = 0;
+  (resumeText || '').split('\n').forEach(line => {
+    const trimmed = line.trim();
+    const start = offset + line.indexOf(trimmed);
+    offset += line.length + 1;
+    if (!trimmed || indexed.has(start) || resumeLines.length === 0) return;
+    const next = resumeLines.find(entry => entry.start > start);
+    headings.push({ start, end: start + trimmed.length, type: 'heading', section: next ? next.section : null });
+  });
+  
+  const missing = matches.missing.flatMap(m =>
+    findTermMentions(jdAnalysis.text || '', m.term).map(({ start, end }) => ({
+      start,
+      end,
+      type: 'missing',
+      term: m.term,
+      importance: m.isRequired ? 'required' : 'preferred'
+    }))
+  );
+  
+  return {
+    resume: [...headings, ...removeOverlappingRanges(Array.from(byLocation.values()))].sort((a, b) => a.start - b.start),
+    jobDescription: removeOverlappingRanges(missing)
+  };
+}
+
+/**
+ * Helper: Keep the strongest of overlapping ranges, in document order
+ */
+function removeOverlappingRanges(ranges) {
+  const rank = (range) => (range.type === 'strong' ? 2 : 0) + (range.importance === 'required' ? 1 : 0);
+  const kept = [];
+  
+  [...ranges]
+    .sort((a, b) => rank(b) - rank(a) || (b.end - b.start) - (a.end - a.start))
+    .forEach(range => {
+      if (!kept.some(other => range.start < other.end && other.start < range.end)) kept.push(range);
+    });
+  
+  return kept.sort((a, b) => a.start - b.start);
+}
+
 /**
  * Build improvement checklist from insights
  */
@@ -660,8 +1552,13 @@ function buildImprovementChecklist(insights, matchResults) {
 
 module.exports = {
   performATSAnalysis,
+  performBatchAnalysis,
+  performMultiJDAnalysis,
   analyzeJobDescription,
+  analyzeResumeStructure,
   matchResumeToJD,
+  evaluateRequirementCoverage,
   generateInsights,
-  calculateATSScore
+  calculateATSScore,
+  calculateATSScoreBreakdown
 };
@@ -0,0 +1,347 @@
+// JSON Resume (https://jsonresume.org) import and export, and HR Open
+// Standards (HR-JSON Candidate) export
+// Imported JSON Resumes skip text extraction: their skills, work and education
+// feed the analysis directly, and text is rendered from them for NLP matching.
+
+const { extractGPA } = require('../utils/education.extractor');
+const { createHttpError } = require('../utils/errors');
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const EXPORT_FORMATS = ['json-resume', 'hr-open'];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Check whether a value looks like a JSON Resume document
+ */
+function isJsonResume(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  return (value.basics && typeof value.basics === 'object') ||
+    ['work', 'education', 'skills'].some(key => Array.isArray(value[key]));
+}
+
+/**
+ * Turn a JSON Resume document into what the analysis needs
+ * Returns { text, layout, importedResume } where importedResume holds sections,
+ * skills, jobs, education and contact in the shapes the extractors produce
+ */
+function importJsonResume(resume) {
+  if (!isJsonResume(resume)) {
+    throw createHttpError(
+      400,
+      'Not a JSON Resume document: expected basics, work, education or skills',
+      'INVALID_JSON_RESUME'
+    );
+  }
+
+  const basics = resume.basics || {};
+  // null or scalar entries in the lists carry nothing and are skipped
+  const profiles = asObjects(basics.profiles);
+  const work = asObjects(resume.work);
+  const education = asObjects(resume.education);
+  const skills = asObjects(resume.skills);
+
+  const jobs = work.map(job => ({
+    title: [job.position, job.name, formatLocation(job.location), formatDateRange(job.startDate, job.endDate)]
+      .filter(isText)
+      .join(' | '),
+    bullets: asArray(job.highlights).filter(isText)
+  }));
+
+  const educationLines = education.map(entry => [
+    [formatDegree(entry), entry.institution, formatDateRange(entry.startDate, entry.endDate)].filter(isText).join(' | '),
+    isText(String(entry.score ?? '')) ? `GPA: ${entry.score}` : null,
+    asArray(entry.courses).filter(isText).length > 0 ? `Courses: ${asArray(entry.courses).filter(isText).join(', ')}` : null
+  ].filter(Boolean).join('\n'));
+
+  const sections = {
+    header: [
+      basics.name,
+      basics.label,
+      [basics.email, basics.phone, basics.url, formatLocation(basics.location)].filter(isText).join(' | '),
+      ...profiles.map(profile => profile.url || (profile.network && profile.username ? `${profile.network}: ${profile.username}` : null))
+    ].filter(isText).join('\n'),
+    summary: basics.summary,
+    experience: jobs.map(job => [job.title, ...job.bullets.map(bullet => `- ${bullet}`)].join('\n')).join('\n'),
+    education: educationLines.join('\n'),
+    skills: skills
+      .map(skill => {
+        const keywords = asArray(skill.keywords).filter(isText);
+        return keywords.length > 0 ? `${skill.name}: ${keywords.join(', ')}` : skill.name;
+      })
+      .filter(isText)
+      .join('\n'),
+    projects: asObjects(resume.projects).map(project => [
+      [project.name, project.url].filter(isText).join(' | '),
+      project.description,
+      ...asArray(project.highlights).filter(isText).map(highlight => `- ${highlight}`)
+    ].filter(isText).join('\n')).join('\n'),
+    certifications: asObjects(resume.certificates)
+      .map(cert => [cert.name, cert.issuer, cert.date].filter(isText).join(' | '))
+      .join('\n'),
+    achievements: asObjects(resume.awards)
+      .map(award => [award.title, award.awarder, award.date].filter(isText).join(' | '))
+      .join('\n')
+  };
+  Object.keys(sections).forEach(key => {
+    if (!isText(sections[key])) delete sections[key];
+  });
+  if (!Object.keys(sections).some(key => key !== 'header')) {
+    throw createHttpError(
+      400,
+      'JSON Resume document has no work, education, skills or other content to analyze',
+      'EMPTY_JSON_RESUME'
+    );
+  }
+
+  // Render the sections under their headings so text-based checks see a normal resume
+  const headingFor = (key) => key === 'achievements' ? 'AWARDS' : key.toUpperCase();
+  const text = Object.entries(sections)
+    .map(([key, content]) => key === 'header' ? content : `${headingFor(key)}\n${content}`)
+    .join('\n\n');
+
+  const gpaEntry = education.find(entry => isText(String(entry.score ?? '')));
+  const graduationYears = education.map(entry => parseInt(entry.endDate, 10)).filter(year => !Number.isNaN(year));
+  const linkedin = profiles.find(profile => /linkedin/i.test(profile.network || profile.url || ''));
+  const github = profiles.find(profile => /github/i.test(profile.network || profile.url || ''));
+
+  return {
+    text,
+    layout: {
+      headings: Object.keys(sections).filter(key => key !== 'header').map(key => ({ text: headingFor(key), level: 1 })),
+      listItems: jobs.flatMap(job => job.bullets)
+    },
+    importedResume: {
+      sections,
+      skills: [...new Set(skills.flatMap(skill => [skill.name, ...asArray(skill.keywords)]).filter(isText))],
+      jobs,
+      education: {
+        degrees: education.map(formatDegree).filter(isText),
+        majors: education.map(entry => entry.area).filter(isText),
+        gpa: gpaEntry ? extractGPA(`GPA: ${gpaEntry.score}`) : null,
+        graduationYear: graduationYears.length > 0 ? Math.max(...graduationYears) : null,
+        institutions: education.map(entry => entry.institution).filter(isText),
+        hasEducation: education.length > 0
+      },
+      contact: {
+        emails: isText(basics.email) ? [basics.email] : [],
+        phones: isText(basics.phone) ? [basics.phone] : [],
+        linkedin: linkedin ? linkedin.url || null : null,
+        github: github ? github.url || null : null,
+        website: basics.url || null,
+        location: formatLocation(basics.location)
+      }
+    }
+  };
+}
+
+/**
+ * Export a profile from buildResumeProfile in the requested format
+ */
+function exportResumeProfile(profile, format) {
+  if (format === 'json-resume') return toJsonResume(profile);
+  if (format === 'hr-open') return toHrOpen(profile);
+  throw createHttpError(
+    400,
+    `Unsupported export format "${format}". Supported formats: ${EXPORT_FORMATS.join(', ')}`,
+    'UNSUPPORTED_EXPORT_FORMAT'
+  );
+}
+
+/**
+ * Profile -> JSON Resume (schema v1.0.0)
+ */
+function toJsonResume(profile) {
+  const { contact } = profile;
+  const socialProfiles = [
+    contact.linkedin && { network: 'LinkedIn', url: withProtocol(contact.linkedin) },
+    contact.github && { network: 'GitHub', url: withProtocol(contact.github) }
+  ].filter(Boolean);
+
+  return compact({
+    $schema: JSON_RESUME_SCHEMA,
+    basics: {
+      name: contact.name,
+      email: contact.emails[0],
+      phone: contact.phones[0],
+      url: contact.website && withProtocol(contact.website),
+      summary: profile.summary,
+      location: parseLocation(contact.location),
+      profiles: socialProfiles
+    },
+    work: profile.jobs.map(job => ({
+      name: job.company,
+      position: job.title,
+      location: job.location,
+      startDate: job.start,
+      endDate: job.end,
+      highlights: job.bullets
+    })),
+    education: profile.education.map(entry => ({
+      institution: entry.institution,
+      area: entry.major,
+      studyType: entry.degree,
+      endDate: entry.year && String(entry.year),
+      score: entry.gpa && `${entry.gpa.gpa}/${entry.gpa.scale}`
+    })),
+    skills: profile.skills.map(name => ({ name })),
+    certificates: profile.certifications.map(name => ({ name }))
+  });
+}
+
+/**
+ * Profile -> HR Open Standards candidate (HR-JSON 4.x Candidate: person and profiles)
+ */
+function toHrOpen(profile) {
+  const { contact } = profile;
+  const [given, ...family] = (contact.name || '').split(/\s+/).filter(Boolean);
+
+  return compact({
+    person: {
+      name: { formattedName: contact.name, given, family: family.join(' ') },
+      communication: {
+        email: contact.emails.map(address => ({ address })),
+        phone: contact.phones.map(formattedNumber => ({ formattedNumber })),
+        web: [
+          contact.website && { url: withProtocol(contact.website) },
+          contact.linkedin && { url: withProtocol(contact.linkedin), name: 'LinkedIn' },
+          contact.github && { url: withProtocol(contact.github), name: 'GitHub' }
+        ].filter(Boolean),
+        address: contact.location ? [{ formattedAddress: contact.location }] : []
+      }
+    },
+    profiles: [{
+      executiveSummary: profile.summary,
+      employment: profile.jobs.map(job => ({
+        organization: job.company && { name: job.company },
+        start: job.start,
+        end: job.end,
+        current: job.current,
+        positionHistories: [{
+          title: job.title,
+          start: job.start,
+          end: job.end,
+          current: job.current,
+          descriptions: job.bullets,
+          address: job.location && { formattedAddress: job.location }
+        }]
+      })),
+      education: profile.education.map(entry => ({
+        institution: entry.institution && { name: entry.institution },
+        educationDegrees: [{
+          name: entry.degree,
+          degreeTypeCode: entry.level && entry.level !== 'Unknown' ? entry.level : undefined,
+          date: entry.year && String(entry.year),
+          specializations: entry.major ? [{ name: entry.major }] : []
+        }],
+        educationScore: entry.gpa ? [{ score: String(entry.gpa.gpa), scoreMax: String(entry.gpa.scale) }] : []
+      })),
+      qualifications: profile.skills.map(competencyName => ({ competencyName })),
+      certifications: profile.certifications.map(name => ({ name }))
+    }]
+  });
+}
+
+/**
+ * Helper: Degree text of a JSON Resume education entry ("Bachelor in Computer Science")
+ */
+function formatDegree(entry) {
+  return [entry.studyType, entry.area].filter(isText).join(' in ');
+}
+
+/**
+ * Helper: JSON Resume location (object or string) as "City, Region"
+ */
+function formatLocation(location) {
+  if (!location) return null;
+  if (typeof location === 'string') return location.trim() || null;
+  const parts = [location.city, location.region || location.countryCode].filter(isText);
+  return parts.length > 0 ? parts.join(', ') : location.address || null;
+}
+
+/**
+ * Helper: "Austin, TX 78701" -> { city, region, postalCode }
+ */
+function parseLocation(location) {
+  if (!location) return null;
+  const [city, ...rest] = location.split(',').map(part => part.trim());
+  if (rest.length === 0) return { address: location };
+  const [, region, postalCode] = rest.join(', ').match(/^(.*?)(?:\s+(\d{5}(?:-\d{4})?))?$/);
+  return postalCode ? { city, region, postalCode } : { city, region };
+}
+
+/**
+ * Helper: ISO dates (YYYY, YYYY-MM or YYYY-MM-DD) as "Jan 2020 - Present"
+ */
+function formatDateRange(startDate, endDate) {
+  const start = formatDate(startDate);
+  const end = formatDate(endDate);
+  if (start) return `${start} - ${end || 'Present'}`;
+  return end;
+}
+
+/**
+ * Helper: ISO date as "Jan 2020" (or "2020" when only the year is known or the month is invalid)
+ */
+function formatDate(value) {
+  const match = /^(\d{4})(?:-(\d{2}))?/.exec(String(value || ''));
+  if (!match) return null;
+  // An impossible month ("2020-13") leaves only the year
+  const month = MONTH_NAMES[Number(match[2]) - 1];
+  return month ? `${month} ${match[1]}` : match[1];
+}
+
+/**
+ * Helper: Add https:// to bare URLs
+ */
+function withProtocol(url) {
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+}
+
+/**
+ * Helper: Drop null, undefined, empty strings, empty arrays and empty objects (recursively)
+ */
+function compact(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(compact).filter(item => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      const cleaned = compact(item);
+      if (cleaned !== undefined) result[key] = cleaned;
+    });
+    return Object.keys(result).length > 0 ? result : undefined;
+  }
+  return value === null || value === undefined || value === '' ? undefined : value;
+}
+
+/**
+ * Helper: The value when it is an array, else []
+ */
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Helper: The object entries of a list
+ */
+function asObjects(value) {
+  return asArray(value).filter(entry => entry && typeof entry === 'object' && !Array.isArray(entry));
+}
+
+/**
+ * Helper: Whether a value is a non-blank string
+ */
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  isJsonResume,
+  importJsonResume,
+  exportResumeProfile
+};
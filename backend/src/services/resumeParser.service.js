@@ -1,69 +1,683 @@
+const path = require("path");
 const PDFParser = require('pdf2json');
 const mammoth = require("mammoth");
+const JSZip = require("jszip");
+const WordExtractor = require("word-extractor");
+const { extractPdfLayout } = require("../utils/pdf.layout");
+const { rtfToText, isRtf } = require("../utils/rtf.converter");
+const { decodeEntities, htmlToText, markdownToText, odtXmlToText } = require("../utils/markup.converter");
+const { sniffFileType } = require("../utils/file.sniffer");
+const { assignHeadingLevels } = require("../utils/section.detector");
+const { createHttpError } = require("../utils/errors");
+const { importJsonResume } = require("./resumeFormats.service");
 
-async function parseResume(file) {
-  try {
-    if (file.mimetype === "application/pdf") {
-      // Use pdf2json to extract text from PDF
-      return new Promise((resolve, reject) => {
-        const pdfParser = new PDFParser();
-        
-        pdfParser.on('pdfParser_dataError', (errData) => {
-          reject(new Error(`PDF parsing error: ${errData.parserError}`));
-        });
-        
-        pdfParser.on('pdfParser_dataReady', (pdfData) => {
-          try {
-            // Extract text from all pages
-            let fullText = '';
-            
-            if (pdfData.Pages && pdfData.Pages.length > 0) {
-              pdfData.Pages.forEach(page => {
-                if (page.Texts && page.Texts.length > 0) {
-                  page.Texts.forEach(text => {
-                    if (text.R && text.R.length > 0) {
-                      text.R.forEach(textRun => {
-                        if (textRun.T) {
-                          try {
-                            // Try to decode URI component, fallback to raw text if it fails
-                            fullText += decodeURIComponent(textRun.T) + ' ';
-                          } catch (e) {
-                            // If decoding fails, use the raw text
-                            fullText += textRun.T + ' ';
-                          }
-                        }
-                      });
-                    }
-                  });
-                  fullText += '\n';
-                }
-              });
-            }
-            
-            resolve(fullText.trim() || 'No text found in PDF');
-          } catch (parseError) {
-            reject(new Error(`Error processing PDF data: ${parseError.message}`));
-          }
-        });
-        
-        // Parse the PDF buffer
-        pdfParser.parseBuffer(file.buffer);
-      });
-    }
+// Font families most ATS parsers and PDF extractors handle reliably
+const STANDARD_FONT_FAMILIES = [
+  'arial', 'helvetica', 'times', 'calibri', 'cambria', 'garamond', 'georgia',
+  'verdana', 'tahoma', 'trebuchet', 'roboto', 'opensans', 'lato', 'liberation',
+  'dejavu', 'courier', 'carlito', 'caladea', 'segoeui', 'bookantiqua', 'palatino',
+  'centurygothic', 'sourcesans', 'notosans', 'arimo', 'tinos', 'symbol', 'aptos'
+];
 
-    if (
-      file.mimetype ===
-      "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
-    ) {
-      const result = await mammoth.extractRawText({ buffer: file.buffer });
-      return result.value;
-    }
+// Characters that extract as garbage or get dropped: icon fonts (private use area),
+// replacement/control characters, typographic ligatures and pictographs
+const NON_STANDARD_CHAR_PATTERN =
+  /[\uE000-\uF8FF\uFFFD\u0000-\u0008\u000B\u000C\u000E-\u001F\uFB00-\uFB06\u2700-\u27BF]|\p{Extended_Pictographic}/gu;
+
+// Less than this much text per page means the PDF has (almost) no text layer
+const SCANNED_CHARS_PER_PAGE = 50;
+
+// Text within this fraction of the page top/bottom counts as header/footer
+const MARGIN_FRACTION = 0.08;
+
+// Supported resume formats. A file claims a format by extension (or mimetype when it
+// has no known extension); contentTypes lists what sniffFileType may report for it.
+const RESUME_PARSERS = [
+  {
+    format: 'pdf',
+    extensions: ['.pdf'],
+    mimetypes: ['application/pdf'],
+    contentTypes: ['pdf'],
+    parse: parsePdf
+  },
+  {
+    format: 'docx',
+    extensions: ['.docx'],
+    mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    contentTypes: ['docx'],
+    parse: parseDocx
+  },
+  {
+    format: 'doc',
+    extensions: ['.doc'],
+    mimetypes: ['application/msword'],
+    contentTypes: ['doc'],
+    parse: parseDoc
+  },
+  {
+    format: 'odt',
+    extensions: ['.odt'],
+    mimetypes: ['application/vnd.oasis.opendocument.text'],
+    contentTypes: ['odt'],
+    parse: parseOdt
+  },
+  {
+    format: 'rtf',
+    extensions: ['.rtf'],
+    mimetypes: ['application/rtf', 'text/rtf'],
+    contentTypes: ['rtf'],
+    parse: parseRtf
+  },
+  {
+    format: 'html',
+    extensions: ['.html', '.htm'],
+    mimetypes: ['text/html', 'application/xhtml+xml'],
+    contentTypes: ['html', 'text'],
+    parse: parseHtml
+  },
+  {
+    format: 'markdown',
+    extensions: ['.md', '.markdown'],
+    mimetypes: ['text/markdown', 'text/x-markdown'],
+    contentTypes: ['text', 'html'],
+    parse: parseMarkdown
+  },
+  {
+    format: 'json',
+    extensions: ['.json'],
+    mimetypes: ['application/json'],
+    contentTypes: ['json'],
+    parse: parseJsonResume
+  },
+  {
+    format: 'txt',
+    extensions: ['.txt', '.text'],
+    mimetypes: ['text/plain'],
+    contentTypes: ['text'],
+    parse: parseText
+  }
+];
+
+const SUPPORTED_RESUME_EXTENSIONS = RESUME_PARSERS.flatMap(parser => parser.extensions);
+
+/**
+ * Find the parser a file claims by extension or mimetype, or null.
+ * Extensions win since browsers often send generic mimetypes (application/octet-stream).
+ */
+function getResumeParser(file) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  return RESUME_PARSERS.find(parser => parser.extensions.includes(extension)) ||
+    RESUME_PARSERS.find(parser => parser.mimetypes.includes(file.mimetype)) ||
+    null;
+}
+
+/**
+ * Choose the parser from the file's content bytes, rejecting files whose
+ * content is not a resume format or does not match what the file claims to be
+ * Returns { parser, detected }
+ */
+function resolveResumeParser(file) {
+  const detected = sniffFileType(file.buffer);
+  if (detected.format === 'empty') {
+    throw createHttpError(400, "Uploaded file is empty", "EMPTY_FILE");
+  }
+
+  const claimed = getResumeParser(file);
+  if (claimed && claimed.contentTypes.includes(detected.format)) {
+    return { parser: claimed, detected };
+  }
+
+  const contentFormat = detected.format === 'text' ? 'txt' : detected.format;
+  const byContent = RESUME_PARSERS.find(parser => parser.format === contentFormat);
+  if (!byContent) {
+    throw createHttpError(
+      415,
+      `Unsupported file format: content is ${detected.description || detected.format.toUpperCase()}. ` +
+        `Supported formats: ${SUPPORTED_RESUME_EXTENSIONS.join(', ')}`,
+      'UNSUPPORTED_FILE_TYPE'
+    );
+  }
+  if (claimed) {
+    throw createHttpError(
+      415,
+      `File "${file.originalname}" is declared as ${claimed.format.toUpperCase()} but its content is ${byContent.format.toUpperCase()}. ` +
+        'Save the file in its real format or fix its extension.',
+      'FILE_TYPE_MISMATCH'
+    );
+  }
+
+  return { parser: byContent, detected };
+}
 
-    throw new Error("Unsupported file format. Please use PDF or DOCX files.");
+/**
+ * Parse an uploaded resume into text plus whatever layout the format provides
+ * Returns { text, format, layout, parseability, importedResume, file } where layout
+ * is null for formats without structure, parseability describes how ATS-friendly
+ * the file is, importedResume holds the structured content of JSON Resume files
+ * and file records what was uploaded and what its bytes turned out to be
+ */
+async function parseResumeDocument(file) {
+  try {
+    const { parser, detected } = resolveResumeParser(file);
+
+    const { text, layout = null, parseability = null, importedResume = null } = await parser.parse(file);
+    return {
+      text: normalizeExtractedText(text),
+      format: parser.format,
+      layout,
+      parseability,
+      importedResume,
+      file: {
+        name: file.originalname,
+        size: file.buffer.length,
+        declaredMimetype: file.mimetype,
+        detectedType: detected.format,
+        parser: parser.format
+      }
+    };
   } catch (error) {
     console.error("Parse error:", error);
     throw error;
   }
 }
 
-module.exports = { parseResume };
+/**
+ * Parse an uploaded job description with the resume parser registry
+ * JSON is rejected: the JSON parser reads JSON Resume documents, not JDs.
+ * Returns the extracted text
+ */
+async function parseJobDescriptionDocument(file) {
+  const { parser } = resolveResumeParser(file);
+  if (parser.format === 'json') {
+    throw createHttpError(
+      415,
+      "Job description files must be documents (PDF, DOCX, DOC, ODT, RTF, HTML, Markdown or text), not JSON",
+      'UNSUPPORTED_FILE_TYPE'
+    );
+  }
+
+  const { text, parseability } = await parser.parse(file);
+  if (parseability && parseability.scanned) {
+    throw createHttpError(422, "Job description file has no extractable text (scanned PDF?)", 'NO_TEXT');
+  }
+  return normalizeExtractedText(text);
+}
+
+/**
+ * PDF: positioned text from pdf2json, rebuilt into lines, columns and headings
+ */
+function parsePdf(file) {
+  return new Promise((resolve, reject) => {
+    const pdfParser = new PDFParser();
+    
+    pdfParser.on('pdfParser_dataError', (errData) => {
+      reject(new Error(`PDF parsing error: ${errData.parserError}`));
+    });
+    
+    pdfParser.on('pdfParser_dataReady', (pdfData) => {
+      try {
+        // Rebuild lines, columns and headings from text coordinates
+        const { text, pages, ...layout } = extractPdfLayout(pdfData);
+        const parseability = analyzePdfParseability(file.buffer, pdfData, { text, pages, ...layout });
+        
+        resolve({ text: text || 'No text found in PDF', layout, parseability });
+      } catch (parseError) {
+        reject(new Error(`Error processing PDF data: ${parseError.message}`));
+      }
+    });
+    
+    // pdf2json assumes the buffer starts at offset 0 of its memory, which
+    // small pooled buffers from multer do not; parse an unpooled copy
+    const buffer = Buffer.alloc(file.buffer.length);
+    file.buffer.copy(buffer);
+    pdfParser.parseBuffer(buffer);
+  });
+}
+
+/**
+ * DOCX: mammoth maps Word structure to HTML (Heading styles to h1-h6, lists to
+ * li, tables to td, hyperlinks to a), which is then flattened to text while
+ * keeping headings and list items as layout hints
+ */
+async function parseDocx(file) {
+  const result = await mammoth.convertToHtml({ buffer: file.buffer });
+  const { text, headings, listItems } = htmlToText(result.value, { tableCellsAsLines: true });
+  const parseability = await analyzeDocxParseability(file.buffer, text);
+  return {
+    text,
+    layout: { headings: assignHeadingLevels(headings), listItems },
+    parseability
+  };
+}
+
+/**
+ * Legacy Word (.doc, OLE binary) via word-extractor
+ */
+async function parseDoc(file) {
+  const document = await new WordExtractor().extract(file.buffer);
+  const text = document.getBody();
+
+  const headerFooterText = [
+    { part: 'header', text: document.getHeaders({ includeFooters: false }).trim() },
+    { part: 'footer', text: document.getFooters().trim() }
+  ].filter(entry => entry.text);
+
+  const textBoxText = document.getTextboxes({ includeHeadersAndFooters: false }).trim();
+
+  return {
+    text,
+    parseability: buildParseabilityReport('doc', text, {
+      headerFooterText,
+      textBoxes: textBoxText ? textBoxText.split(/\n\s*\n/).length : 0
+    })
+  };
+}
+
+/**
+ * OpenDocument text: content.xml converted with headings, plus parseability from styles and metadata
+ */
+async function parseOdt(file) {
+  const zip = await JSZip.loadAsync(file.buffer);
+  const readPart = async (name) => (zip.file(name) ? zip.file(name).async('string') : '');
+
+  const contentXml = await readPart('content.xml');
+  const stylesXml = await readPart('styles.xml');
+  const metaXml = await readPart('meta.xml');
+  const { text, headings } = odtXmlToText(contentXml);
+
+  // Page headers and footers are defined in the master pages of styles.xml
+  const headerFooterText = Array.from(
+    stylesXml.matchAll(/<style:(header|footer)(?=[\s>])[^>]*>([\s\S]*?)<\/style:\1>/g),
+    match => ({ part: match[1], text: odtXmlToText(match[2]).text })
+  ).filter(entry => entry.text);
+
+  const pageCount = metaXml.match(/meta:page-count="(\d+)"/);
+  const columnCounts = Array.from(`${contentXml}${stylesXml}`.matchAll(/fo:column-count="(\d+)"/g), match => Number(match[1]));
+  const fonts = Array.from(new Set(
+    Array.from(`${contentXml}${stylesXml}`.matchAll(/<style:font-face\b[^>]*\bstyle:name="([^"]+)"/g), match => match[1])
+  ));
+
+  return {
+    text,
+    layout: { headings: assignHeadingLevels(headings) },
+    parseability: buildParseabilityReport('odt', text, {
+      pageCount: pageCount ? Number(pageCount[1]) : null,
+      multiColumn: columnCounts.some(count => count > 1),
+      tables: (contentXml.match(/<table:table\b/g) || []).length,
+      images: (contentXml.match(/<draw:image\b/g) || []).length,
+      textBoxes: (contentXml.match(/<draw:text-box\b/g) || []).length,
+      headerFooterText,
+      fonts
+    })
+  };
+}
+
+/**
+ * RTF: control words stripped by the bundled converter
+ */
+async function parseRtf(file) {
+  const source = file.buffer.toString('latin1');
+  if (!isRtf(source)) {
+    throw createHttpError(400, 'File is not a valid RTF document', 'INVALID_FILE');
+  }
+
+  const text = rtfToText(source);
+  return {
+    text,
+    parseability: buildParseabilityReport('rtf', text, {
+      tables: (source.match(/\\trowd\b/g) || []).length > 0 ? 1 : 0,
+      images: (source.match(/\{\\pict\b/g) || []).length
+    })
+  };
+}
+
+/**
+ * HTML: tags stripped, block elements on their own lines, h1-h6 as headings
+ */
+async function parseHtml(file) {
+  const source = decodeTextBuffer(file.buffer);
+  const { text, headings, listItems } = htmlToText(source);
+  return {
+    text,
+    layout: { headings: assignHeadingLevels(headings), listItems },
+    parseability: buildParseabilityReport('html', text, {
+      tables: (source.match(/<table\b/gi) || []).length,
+      images: (source.match(/<img\b/gi) || []).length
+    })
+  };
+}
+
+/**
+ * JSON Resume: no text extraction; skills, work and education are imported as
+ * they are and the text is rendered from them
+ */
+async function parseJsonResume(file) {
+  let resume;
+  try {
+    resume = JSON.parse(decodeTextBuffer(file.buffer));
+  } catch (error) {
+    throw createHttpError(400, `File is not valid JSON: ${error.message}`, 'INVALID_FILE');
+  }
+  return importJsonResume(resume);
+}
+
+/**
+ * Markdown: syntax stripped, # headings kept as layout hints
+ */
+async function parseMarkdown(file) {
+  const source = decodeTextBuffer(file.buffer);
+  const { text, headings } = markdownToText(source);
+  return {
+    text,
+    layout: { headings: assignHeadingLevels(headings) },
+    parseability: buildParseabilityReport('markdown', text, {
+      tables: (source.match(/^\s*\|?\s*:?-{3,}:?\s*\|/gm) || []).length,
+      images: (source.match(/!\[[^\]]*\]\(/g) || []).length
+    })
+  };
+}
+
+/**
+ * Plain text, UTF-8 or UTF-16 with a byte order mark
+ */
+async function parseText(file) {
+  const text = decodeTextBuffer(file.buffer);
+  return { text, parseability: buildParseabilityReport('txt', text) };
+}
+
+/**
+ * Helper: Decode a text file, honouring UTF-16 byte order marks
+ */
+function decodeTextBuffer(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.toString('utf16le', 2);
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    // Node has no UTF-16BE decoder; swap to little endian first
+    const swapped = Buffer.from(buffer.subarray(2));
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  }
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * Helper: Same text shape for every format: \n line endings, plain spaces,
+ * no trailing whitespace and at most one blank line in a row
+ */
+function normalizeExtractedText(text) {
+  return (text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u00A0\u2007\u202F]/g, ' ')
+    .replace(/\t/g, ' ')
+    .replace(/[ ]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Parse an uploaded resume into plain text
+ */
+async function parseResume(file) {
+  const { text } = await parseResumeDocument(file);
+  return text;
+}
+
+/**
+ * Parseability report for any format; details override the defaults
+ * (formats without pages, columns or fonts leave those empty)
+ */
+function buildParseabilityReport(format, text, details = {}) {
+  const report = {
+    format,
+    pageCount: null,
+    multiColumn: false,
+    columnsPerPage: null,
+    tables: 0,
+    images: 0,
+    textBoxes: 0,
+    headerFooterText: [],
+    nonStandardCharacters: findNonStandardCharacters(text),
+    fonts: [],
+    scanned: false,
+    ...details
+  };
+  report.nonStandardFonts = report.fonts.filter(font => !isStandardFont(font));
+
+  return { ...report, issues: buildParseabilityIssues(report) };
+}
+
+/**
+ * Parseability report for a PDF from pdf2json data, the rebuilt layout and the raw file
+ */
+function analyzePdfParseability(buffer, pdfData, layout) {
+  const raw = buffer.toString('latin1');
+  const pages = pdfData.Pages || [];
+  const textLength = layout.text.replace(/\s/g, '').length;
+  const images = (raw.match(/\/Subtype\s*\/Image\b/g) || []).length;
+
+  // Ruled grids: a table needs at least two horizontal and two vertical rules on a page
+  const tables = pages.filter(page =>
+    (page.HLines || []).length >= 2 && (page.VLines || []).length >= 2
+  ).length;
+
+  const fonts = Array.from(new Set(
+    Array.from(raw.matchAll(/\/BaseFont\s*\/([^\s/<>[\]()]+)/g), match => cleanFontName(match[1]))
+  ));
+
+  return buildParseabilityReport('pdf', layout.text, {
+    pageCount: layout.pageCount,
+    multiColumn: layout.multiColumn,
+    columnsPerPage: layout.columnsPerPage,
+    tables,
+    images,
+    headerFooterText: findRepeatedMarginText(layout.pages),
+    fonts,
+    scanned: layout.pageCount > 0 && textLength / layout.pageCount < SCANNED_CHARS_PER_PAGE &&
+      (images > 0 || textLength === 0)
+  });
+}
+
+/**
+ * Parseability report for a DOCX from its XML parts and the extracted text
+ */
+async function analyzeDocxParseability(buffer, text) {
+  const zip = await JSZip.loadAsync(buffer);
+  const readPart = async (name) => (zip.file(name) ? zip.file(name).async('string') : '');
+
+  const documentXml = await readPart('word/document.xml');
+  const stylesXml = await readPart('word/styles.xml');
+  const appXml = await readPart('docProps/app.xml');
+
+  // Headers and footers live in their own parts, which many ATS never read
+  const headerFooterText = [];
+  const headerFooterParts = Object.keys(zip.files)
+    .filter(name => /^word\/(header|footer)\d*\.xml$/.test(name))
+    .sort();
+  for (const name of headerFooterParts) {
+    const partText = extractWordXmlText(await readPart(name));
+    if (partText) {
+      headerFooterText.push({ part: name.replace(/^word\/|\.xml$/g, ''), text: partText });
+    }
+  }
+
+  const columnCounts = Array.from(documentXml.matchAll(/<w:cols\b[^>]*\bw:num="(\d+)"/g), match => Number(match[1]));
+  const statedPages = appXml.match(/<Pages>(\d+)<\/Pages>/);
+  const pageBreaks = (documentXml.match(/<w:br\b[^>]*w:type="page"/g) || []).length;
+
+  const fonts = Array.from(new Set(
+    Array.from(`${documentXml}${stylesXml}`.matchAll(/<w:rFonts\b[^>]*\bw:ascii="([^"]+)"/g), match => match[1])
+  ));
+
+  return buildParseabilityReport('docx', text, {
+    pageCount: statedPages ? Number(statedPages[1]) : pageBreaks + 1,
+    pageCountEstimated: !statedPages,
+    multiColumn: columnCounts.some(count => count > 1),
+    tables: (documentXml.match(/<w:tbl>/g) || []).length,
+    images: (documentXml.match(/<pic:pic\b|<v:imagedata\b/g) || []).length,
+    textBoxes: (documentXml.match(/<w:txbxContent\b/g) || []).length,
+    headerFooterText,
+    fonts
+  });
+}
+
+/**
+ * Helper: Plain text of a WordprocessingML part, one paragraph per line
+ */
+function extractWordXmlText(xml) {
+  return xml
+    .split(/<\/w:p>/)
+    .map(paragraph => Array.from(paragraph.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g), match => match[1]).join(''))
+    .map(line => decodeEntities(line).trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Helper: Lines in the top/bottom page margin that repeat on several pages (running headers/footers)
+ */
+function findRepeatedMarginText(pages) {
+  if (!pages || pages.length < 2) return [];
+
+  const seen = new Map();
+  pages.forEach(page => {
+    const marginTexts = new Set(
+      page.lines
+        .filter(line => line.y < page.height * MARGIN_FRACTION || line.y > page.height * (1 - MARGIN_FRACTION))
+        // Page numbers differ per page, so compare text with digits removed
+        .map(line => line.text.replace(/\d+/g, '#'))
+    );
+    marginTexts.forEach(text => seen.set(text, (seen.get(text) || 0) + 1));
+  });
+
+  return Array.from(seen.entries())
+    .filter(([, count]) => count > 1)
+    .map(([text]) => ({ part: 'repeated', text }));
+}
+
+/**
+ * Helper: Count of characters that tend to extract badly, with distinct samples
+ */
+function findNonStandardCharacters(text) {
+  const matches = (text || '').match(NON_STANDARD_CHAR_PATTERN) || [];
+  const samples = Array.from(new Set(matches)).slice(0, 10).map(char => ({
+    char,
+    codePoint: `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`
+  }));
+  return { count: matches.length, samples };
+}
+
+/**
+ * Helper: Font name without the subset prefix ("ABCDEF+Calibri-Bold" -> "Calibri-Bold")
+ */
+function cleanFontName(name) {
+  return name
+    .replace(/^[A-Z]{6}\+/, '')
+    .replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Helper: Check a font against the common, ATS-safe families
+ */
+function isStandardFont(font) {
+  const key = font.toLowerCase().replace(/[^a-z]/g, '');
+  return STANDARD_FONT_FAMILIES.some(family => key.startsWith(family));
+}
+
+/**
+ * Turn a parseability report into issues: [{ code, severity, message, suggestion }]
+ */
+function buildParseabilityIssues(report) {
+  const issues = [];
+
+  if (report.scanned) {
+    issues.push({
+      code: 'scanned_pdf',
+      severity: 'high',
+      message: 'PDF has no usable text layer; it looks like a scanned image',
+      suggestion: 'Export the resume to PDF from your editor (or run OCR) so the text can be selected and copied'
+    });
+  }
+
+  if (report.textBoxes > 0) {
+    issues.push({
+      code: 'text_boxes',
+      severity: 'high',
+      message: `${report.textBoxes} text box${report.textBoxes > 1 ? 'es' : ''} found; many ATS skip text inside text boxes`,
+      suggestion: 'Move text out of text boxes into normal paragraphs'
+    });
+  }
+
+  if (report.multiColumn) {
+    issues.push({
+      code: 'multi_column',
+      severity: 'medium',
+      message: 'Multi-column layout detected; ATS may read the columns out of order',
+      suggestion: 'Use a single-column layout, or keep each section entirely within one column'
+    });
+  }
+
+  if (report.tables > 0) {
+    issues.push({
+      code: 'tables',
+      severity: 'medium',
+      message: `${report.tables} table${report.tables > 1 ? 's' : ''} found; table cells are often merged or dropped by ATS`,
+      suggestion: 'Replace tables with plain lines of text or bullet points'
+    });
+  }
+
+  if (report.headerFooterText.length > 0) {
+    issues.push({
+      code: 'header_footer_text',
+      severity: report.format === 'docx' ? 'medium' : 'low',
+      message: 'Text found in page headers/footers, which many ATS ignore',
+      suggestion: 'Put your name and contact details in the main body of the first page'
+    });
+  }
+
+  if (report.nonStandardCharacters.count > 0) {
+    issues.push({
+      code: 'non_standard_characters',
+      severity: 'medium',
+      message: `${report.nonStandardCharacters.count} icon or special character${report.nonStandardCharacters.count > 1 ? 's' : ''} may not extract correctly`,
+      suggestion: 'Replace icons, emoji and symbol bullets with plain text labels (e.g. "Email:") and standard bullets'
+    });
+  }
+
+  if (report.images > 0 && !report.scanned) {
+    issues.push({
+      code: 'images',
+      severity: 'low',
+      message: `${report.images} image${report.images > 1 ? 's' : ''} found; text inside images is not read by ATS`,
+      suggestion: 'Make sure no skills, headings or contact details exist only as images or logos'
+    });
+  }
+
+  if (report.nonStandardFonts.length > 0) {
+    issues.push({
+      code: 'non_standard_fonts',
+      severity: 'low',
+      message: `Uncommon fonts used: ${report.nonStandardFonts.slice(0, 5).join(', ')}`,
+      suggestion: 'Use a common font such as Arial, Calibri, Garamond or Times New Roman'
+    });
+  }
+
+  if (report.pageCount > 2) {
+    issues.push({
+      code: 'page_count',
+      severity: 'low',
+      message: `Resume is ${report.pageCount} pages long`,
+      suggestion: 'Keep the resume to one or two pages'
+    });
+  }
+
+  return issues;
+}
+
+module.exports = {
+  parseResume,
+  parseResumeDocument,
+  parseJobDescriptionDocument,
+  getResumeParser,
+  SUPPORTED_RESUME_EXTENSIONS
+};
@@ -0,0 +1,168 @@
+// Structured candidate profile from resume text
+// Combines section detection with the contact, experience and education
+// extractors into one record that export formats are built from.
+
+const { detectSections, parseExperienceSection, parseSkillsSection } = require('../utils/section.detector');
+const { extractContactInfo, extractCandidateName } = require('../utils/contact.extractor');
+const { extractEducationInfo, extractDegrees, classifyDegreeLevel } = require('../utils/education.extractor');
+const { parseJobHeader, detectEmploymentGaps, calculateMonthsBetween } = require('../utils/experience.extractor');
+const { findSkillsInText } = require('../utils/skill.taxonomy');
+const { normalizeSkill } = require('../utils/nlp.utils');
+
+const INSTITUTION_PATTERN = /\b(University|College|Institute|School|Academy|Polytechnic)\b/i;
+
+// A header part that is a whole "City, ST" or "City, ST 12345" location
+const HEADER_LOCATION_PATTERN = /^[A-Z][a-z]+(?:[ .'-]+[A-Z][a-z]+)*\.?,\s*[A-Z]{2}(?:\s+\d{5}(?:-\d{4})?)?$/;
+
+// Lines searched for the location when no header section was detected
+const HEADER_LINES = 5;
+
+/**
+ * Build a candidate profile from resume text and the layout the parser found
+ * Returns { contact, summary, jobs, education, skills, skillsBySection,
+ * certifications, gaps }. Dates are "YYYY-MM"; skills are the Skills section
+ * entries, skillsBySection the known skills mentioned in each section.
+ */
+function buildResumeProfile(resumeText, document = {}) {
+  const { layout = null } = document;
+  const sections = detectSections(resumeText, { headings: layout ? layout.headings : undefined });
+
+  const jobs = sections.experience
+    ? parseExperienceSection(sections.experience, { listItems: layout ? layout.listItems : undefined })
+    : [];
+
+  const header = sections.header || resumeText.split('\n').slice(0, HEADER_LINES).join('\n');
+
+  return {
+    contact: {
+      name: extractCandidateName(sections.header || resumeText),
+      ...extractContactInfo(resumeText),
+      location: findHeaderLocation(header)
+    },
+    summary: sections.summary || null,
+    jobs: jobs.map(job => {
+      const { title, company, location, startDate, endDate, current } = parseJobHeader(job.title);
+      const lastDate = current ? new Date() : endDate;
+      return {
+        title,
+        company,
+        location,
+        start: formatYearMonth(startDate),
+        end: formatYearMonth(endDate),
+        current,
+        durationMonths: startDate && lastDate ? Math.max(0, calculateMonthsBetween(startDate, lastDate)) : null,
+        bullets: job.bullets
+      };
+    }),
+    education: splitEducationEntries(sections.education || '').map(buildEducationEntry),
+    skills: sections.skills ? parseSkillsSection(sections.skills) : [],
+    skillsBySection: findSkillsBySection(sections),
+    certifications: sections.certifications ? listLines(sections.certifications) : [],
+    gaps: detectEmploymentGaps(sections.experience || '').map(gap => ({
+      start: formatYearMonth(gap.start),
+      end: formatYearMonth(gap.end),
+      months: gap.months,
+      years: gap.years
+    }))
+  };
+}
+
+/**
+ * Helper: Known skills per section; the Skills section also keeps entries
+ * the taxonomy does not know
+ */
+function findSkillsBySection(sections) {
+  const result = {};
+  Object.entries(sections).forEach(([name, text]) => {
+    if (name === 'header') return;
+    const skills = name === 'skills'
+      ? [...new Set(parseSkillsSection(text).map(normalizeSkill))]
+      : findSkillsInText(text);
+    if (skills.length > 0) result[name] = skills;
+  });
+  return result;
+}
+
+/**
+ * Helper: The candidate's location, only when a header line part is exactly a
+ * "City, ST" location; prose and job lines ("Software Engineer, Foo Inc") are not
+ */
+function findHeaderLocation(header) {
+  const parts = header
+    .split('\n')
+    .flatMap(line => line.split(/\s*[|•·]\s*|\t|\s{2,}/))
+    .map(part => part.trim());
+  return parts.find(part => HEADER_LOCATION_PATTERN.test(part)) || null;
+}
+
+/**
+ * Helper: Group education lines into one block per degree or institution
+ */
+function splitEducationEntries(educationText) {
+  const entries = [];
+  let current = null;
+
+  listLines(educationText).forEach(line => {
+    const hasDegree = extractDegrees(line).length > 0;
+    const hasInstitution = INSTITUTION_PATTERN.test(line);
+
+    if (!current || (hasDegree && current.hasDegree) || (hasInstitution && current.hasInstitution)) {
+      current = { lines: [], hasDegree: false, hasInstitution: false };
+      entries.push(current);
+    }
+    current.lines.push(line);
+    current.hasDegree = current.hasDegree || hasDegree;
+    current.hasInstitution = current.hasInstitution || hasInstitution;
+  });
+
+  return entries.map(entry => entry.lines);
+}
+
+/**
+ * Helper: Degree, level, major, GPA, institution and year of one education entry
+ */
+function buildEducationEntry(lines) {
+  const info = extractEducationInfo(lines.join('\n'));
+  // Degree and major patterns run on to the end of the line; keep the first clause
+  const firstClause = (value) => value.split(/[,|\n]/)[0].trim();
+  const degree = info.degrees.length > 0 ? firstClause(info.degrees[0]) : null;
+
+  // The institution is the line part naming a university, college, ...
+  const institution = lines
+    .flatMap(line => line.split(/\s*[|,–—]\s*/))
+    .find(part => INSTITUTION_PATTERN.test(part)) || info.institutions[0] || null;
+
+  // Graduation is the latest year on the entry
+  const years = (lines.join(' ').match(/\b(?:19|20)\d{2}\b/g) || []).map(Number);
+
+  return {
+    degree,
+    level: degree ? classifyDegreeLevel(degree) : null,
+    major: info.majors.length > 0 ? firstClause(info.majors[0]) : null,
+    gpa: info.gpa,
+    institution,
+    year: years.length > 0 ? Math.max(...years) : null
+  };
+}
+
+/**
+ * Helper: Non-empty lines of a section without bullet markers
+ */
+function listLines(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/^[\s•\-*+]+/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Helper: Date as "YYYY-MM", or null
+ */
+function formatYearMonth(date) {
+  if (!date || Number.isNaN(date.getTime())) return null;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+module.exports = {
+  buildResumeProfile
+};
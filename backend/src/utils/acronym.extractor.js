@@ -0,0 +1,167 @@
+// Acronym detection
+// Builds a document's acronym map from inline definitions ("Site Reliability
+// Engineering (SRE)", "SRE (Site Reliability Engineering)") and from taxonomy
+// skills whose aliases are acronyms of each other ("ML" / "machine learning"),
+// so either form of a term matches the other.
+
+const { getSkill, findSkillsInText } = require('./skill.taxonomy');
+
+// Words an acronym may skip ("Infrastructure as Code" is IaC, "Research & Development" is R&D)
+const OPTIONAL_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// "(SRE)", "(CI/CD)", "(IaC)": an acronym in parentheses after its long form
+const TRAILING_ACRONYM_PATTERN = /\(\s*([A-Za-z][A-Za-z0-9&/.]{1,11})\s*\)/g;
+
+// "SRE (Site Reliability Engineering)": an acronym followed by its long form
+const LEADING_ACRONYM_PATTERN = /(?<![\w/])([A-Z][A-Za-z0-9&/]{1,11})\s*\(\s*([A-Za-z][^()\n]{3,80}?)\s*\)/g;
+
+// Most words searched before a parenthesized acronym, beyond one per letter
+const EXTRA_WORDS = 3;
+
+/**
+ * Acronym map of one document
+ * Returns [{ acronym, longForm, source }] in lowercase, where source is
+ * "definition" for acronyms the text defines and "taxonomy" for known skill pairs
+ */
+function extractAcronyms(text) {
+  const content = String(text || '');
+  const entries = [
+    ...findDefinitions(content).map(entry => ({ ...entry, source: 'definition' })),
+    ...findTaxonomyPairs(content).map(entry => ({ ...entry, source: 'taxonomy' }))
+  ];
+  return mergeAcronyms(entries);
+}
+
+/**
+ * Combine acronym maps, keeping the first entry of each acronym / long form pair
+ */
+function mergeAcronyms(...maps) {
+  const seen = new Set();
+  return maps.flat().filter(({ acronym, longForm }) => {
+    const key = `${acronym}\u0000${longForm}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Other forms of a term in an acronym map: long forms of an acronym, the
+ * acronym of a long form
+ */
+function expandAcronym(term, acronyms) {
+  const lower = String(term || '').toLowerCase().trim();
+  const forms = (acronyms || []).flatMap(({ acronym, longForm }) => {
+    if (acronym === lower) return [longForm];
+    if (longForm === lower) return [acronym];
+    return [];
+  });
+  return [...new Set(forms)];
+}
+
+/**
+ * Check whether an acronym abbreviates a long form
+ * Each word gives its first letter (capitals inside a word may add more, as in
+ * "JavaScript Object Notation"); short function words may be skipped. A
+ * slashed acronym also abbreviates each half ("continuous integration" is CI of CI/CD).
+ */
+function isAcronymOf(acronym, longForm) {
+  const words = String(longForm || '')
+    .split(/[\s/-]+/)
+    .filter(word => /^[A-Za-z0-9]/.test(word))
+    .map(word => ({
+      initial: word[0].toLowerCase(),
+      inner: word.slice(1).replace(/[^A-Z]/g, '').toLowerCase(),
+      optional: OPTIONAL_WORDS.has(word.toLowerCase())
+    }));
+  if (words.length < 2) return false;
+
+  const parts = String(acronym || '').toLowerCase().split('/');
+  const candidates = parts.length > 1 ? [parts.join(''), ...parts] : parts;
+  return candidates
+    .map(candidate => candidate.replace(/[^a-z0-9]/g, ''))
+    .some(letters => letters.length >= 2 && spellsAcronym(letters, words));
+}
+
+/**
+ * Helper: Inline definitions in either order
+ */
+function findDefinitions(text) {
+  const entries = [];
+
+  for (const match of text.matchAll(TRAILING_ACRONYM_PATTERN)) {
+    const acronym = match[1];
+    if (!looksLikeAcronym(acronym)) continue;
+
+    // The fewest words before the parenthesis that spell the acronym
+    const before = text.slice(text.lastIndexOf('\n', match.index) + 1, match.index);
+    const words = [...before.matchAll(/[A-Za-z0-9][\w'&/-]*/g)];
+    const maxWords = Math.min(words.length, acronym.length + EXTRA_WORDS);
+    for (let count = 2; count <= maxWords; count++) {
+      const first = words[words.length - count];
+      if (OPTIONAL_WORDS.has(first[0].toLowerCase())) continue;
+      const longForm = before.slice(first.index).trim();
+      if (isAcronymOf(acronym, longForm)) {
+        entries.push({ acronym: acronym.toLowerCase(), longForm: longForm.toLowerCase().replace(/\s+/g, ' ') });
+        break;
+      }
+    }
+  }
+
+  for (const match of text.matchAll(LEADING_ACRONYM_PATTERN)) {
+    const [, acronym, longForm] = match;
+    if (looksLikeAcronym(acronym) && isAcronymOf(acronym, longForm)) {
+      entries.push({ acronym: acronym.toLowerCase(), longForm: longForm.toLowerCase().replace(/\s+/g, ' ') });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Helper: Acronym / long form pairs among the names and aliases of the
+ * taxonomy skills a text mentions
+ */
+function findTaxonomyPairs(text) {
+  return findSkillsInText(text).flatMap(name => {
+    const forms = [name, ...(getSkill(name)?.aliases || [])];
+    const acronyms = forms.filter(form => !/\s/.test(form) && form.length <= 8);
+    const longForms = forms.filter(form => /\s/.test(form));
+    return acronyms.flatMap(acronym => longForms
+      .filter(longForm => isAcronymOf(acronym, longForm))
+      .map(longForm => ({ acronym, longForm })));
+  });
+}
+
+/**
+ * Helper: Two or more capitals and no lowercase run longer than a plural or
+ * "a" in "SaaS" ("Go" and "Kubernetes" are not acronyms)
+ */
+function looksLikeAcronym(word) {
+  return (word.match(/[A-Z]/g) || []).length >= 2 && !/[a-z]{3,}/.test(word);
+}
+
+/**
+ * Helper: Whether the words spell the letters, each required word giving its
+ * initial and optionally some of its inner capitals
+ */
+function spellsAcronym(letters, words) {
+  if (words.length === 0) return letters.length === 0;
+
+  const [word, ...rest] = words;
+  if (word.optional && spellsAcronym(letters, rest)) return true;
+  if (letters[0] !== word.initial) return false;
+
+  for (let extra = 0; extra <= word.inner.length; extra++) {
+    if (extra > 0 && letters.slice(1, extra + 1) !== word.inner.slice(0, extra)) break;
+    if (spellsAcronym(letters.slice(extra + 1), rest)) return true;
+  }
+  return false;
+}
+
+module.exports = {
+  extractAcronyms,
+  mergeAcronyms,
+  expandAcronym,
+  isAcronymOf
+};
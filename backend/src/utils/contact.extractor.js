@@ -59,7 +59,8 @@ function extractGitHubURL(text) {
  * Extract portfolio/website URL
  */
 function extractWebsiteURL(text) {
-  const websitePattern = /(?:https?:\/\/)?(?:www\.)?[\w-]+\.(?:com|net|org|io|dev|me|co)(?:\/[\w\-._~:/?#[\]@!$&'()*+,;=]*)?/gi;
+  // Not preceded by @ or a dot, so e-mail domains are not read as websites
+  const websitePattern = /(?<![@\w.])(?:https?:\/\/)?(?:www\.)?[\w-]+\.(?:com|net|org|io|dev|me|co)(?:\/[\w\-._~:/?#[\]@!$&'()*+,;=]*)?/gi;
   const matches = text.match(websitePattern) || [];
   
   // Filter out common platforms
@@ -100,6 +101,24 @@ function extractLocation(text) {
   return locations.length > 0 ? locations[0] : null;
 }
 
+/**
+ * Extract the candidate's name: the first line near the top that reads like a
+ * name (2-4 capitalized words, no digits, e-mail or URL)
+ */
+function extractCandidateName(text) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean).slice(0, 5);
+  
+  const name = lines.find(line => {
+    if (line.length > 50 || /[\d@\/:|]/.test(line)) return false;
+    if (/\b(resume|r[ée]sum[ée]|curriculum vitae|cv)\b/i.test(line)) return false;
+    const words = line.split(/\s+/);
+    return words.length >= 2 && words.length <= 4 &&
+      words.every(word => /^[A-Z\u00C0-\u00DE][A-Za-z\u00C0-\u017F'.-]*$/.test(word));
+  });
+  
+  return name || null;
+}
+
 /**
  * Extract all contact information
  */
@@ -154,6 +173,7 @@ module.exports = {
   extractGitHubURL,
   extractWebsiteURL,
   extractLocation,
+  extractCandidateName,
   extractContactInfo,
   validateEmail,
   validatePhoneNumber,
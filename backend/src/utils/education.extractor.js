@@ -7,8 +7,8 @@ function extractDegrees(text) {
   const degreePatterns = [
     // Full degree names
     /\b(Bachelor(?:'s)?|Master(?:'s)?|Doctor(?:ate)?|Associate(?:'s)?|PhD|Ph\.D\.?|MBA|BS|BA|MS|MA|BSc|MSc)\s+(?:of\s+)?(?:Science|Arts|Engineering|Business|Technology|Fine Arts|Applied Science)?\s*(?:in\s+[\w\s,&]+)?/gi,
-    // Abbreviated
-    /\b(B\.?S\.?|B\.?A\.?|M\.?S\.?|M\.?A\.?|Ph\.?D\.?|MBA|BBA|BCA|MCA|BE|BTech|MTech)\b/gi
+    // Abbreviated (case-sensitive so words like "be" or "ma" are not read as degrees)
+    /\b(B\.?S\.?|B\.?A\.?|M\.?S\.?|M\.?A\.?|Ph\.?D\.?|MBA|BBA|BCA|MCA|BE|BTech|MTech)\b/g
   ];
   
   const degrees = [];
@@ -128,7 +128,8 @@ function extractInstitutions(text) {
  * Classify degree level
  */
 function classifyDegreeLevel(degree) {
-  const upper = degree.toUpperCase();
+  // "B.S." and "M.Sc." are BS and MSC
+  const upper = degree.toUpperCase().replace(/\./g, '');
   
   if (/\b(ASSOCIATE|AS|AA)\b/.test(upper)) return 'Associate';
   if (/\b(BACHELOR|BS|BA|BSC|BBA|BE|BTECH|BCA)\b/.test(upper)) return 'Bachelor';
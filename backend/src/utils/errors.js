@@ -0,0 +1,24 @@
+// Error helpers for failures that map to a specific HTTP status
+
+/**
+ * Create an Error carrying an HTTP status and a machine-readable code
+ */
+function createHttpError(statusCode, message, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+}
+
+/**
+ * Send an error response, using the status and code carried by HTTP errors
+ */
+function sendError(res, err) {
+  res.status(err.statusCode || 500).json({
+    success: false,
+    message: err.message,
+    ...(err.code && { code: err.code }),
+  });
+}
+
+module.exports = { createHttpError, sendError };
@@ -0,0 +1,140 @@
+// Evidence locations in resume text
+// Indexes every resume line with its section, the job it belongs to and its
+// character offsets, so a matched term can be traced to the exact place it
+// appears and the frontend can highlight it.
+
+const { getSkill } = require('./skill.taxonomy');
+
+/**
+ * Index the lines of the extracted resume text
+ * sections: from detectSections (or an imported resume); experienceJobs: from
+ * parseExperienceSection. Returns [{ section, job, text, start, end }] in
+ * document order, where start/end are offsets of the trimmed line in resumeText
+ * and job is the header of the job a bullet belongs to (null elsewhere).
+ */
+function indexResumeLines(resumeText, sections = {}, experienceJobs = []) {
+  const text = resumeText || '';
+  const lines = [];
+  const seen = new Set();
+  let cursor = 0;
+
+  // Section contents are trimmed resume lines in document order
+  Object.entries(sections).forEach(([section, content]) => {
+    String(content || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      let start = text.indexOf(line, cursor);
+      if (start >= 0) {
+        cursor = start + line.length;
+      } else {
+        // Fallback sections repeat the whole resume; look from the top
+        start = text.indexOf(line);
+      }
+      if (start < 0 || seen.has(start)) return;
+      seen.add(start);
+      lines.push({ section, job: null, text: line, start, end: start + line.length });
+    });
+  });
+  lines.sort((a, b) => a.start - b.start);
+
+  // Bullets are one line each; tie them to their job in order
+  const experienceLines = lines.filter(line => line.section === 'experience');
+  let next = 0;
+  experienceJobs.forEach(job => {
+    job.bullets.forEach(bullet => {
+      const index = experienceLines.findIndex((line, i) => i >= next && line.text.endsWith(bullet));
+      if (index < 0) return;
+      experienceLines[index].job = job.title || null;
+      next = index + 1;
+    });
+  });
+
+  return lines;
+}
+
+/**
+ * Find where a term (or one of its taxonomy aliases) is mentioned
+ * Returns [{ section, job, text, start, end }] with start/end the offsets of
+ * the mention in the resume text, one entry per line, in document order
+ */
+function findTermLocations(term, resumeLines) {
+  const forms = termForms(term);
+  const locations = [];
+
+  resumeLines.forEach(line => {
+    const offsets = forms
+      .map(form => findTermOffset(line.text, form))
+      .filter(match => match !== null)
+      .sort((a, b) => a.index - b.index);
+    if (offsets.length === 0) return;
+
+    const { index, length } = offsets[0];
+    locations.push({
+      section: line.section,
+      job: line.job,
+      text: line.text,
+      start: line.start + index,
+      end: line.start + index + length
+    });
+  });
+
+  return locations;
+}
+
+/**
+ * Every mention of a term (or one of its taxonomy aliases) in free text
+ * Returns [{ start, end }] sorted by position, without overlaps
+ */
+function findTermMentions(text, term) {
+  const mentions = [];
+  termForms(term).forEach(form => {
+    const pattern = termPattern(form, 'gi');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      mentions.push({ start: match.index, end: match.index + match[0].length });
+    }
+  });
+
+  // Longest mention first where forms overlap ("node.js" over "node")
+  mentions.sort((a, b) => a.start - b.start || b.end - a.end);
+  return mentions.filter((mention, index) => index === 0 || mention.start >= mentions[index - 1].end);
+}
+
+/**
+ * A term and its taxonomy aliases, lowercased (short aliases such as "js"
+ * would match inside unrelated words)
+ */
+function termForms(term) {
+  const aliases = (getSkill(term)?.aliases || []).filter(alias => alias.length > 2);
+  return [...new Set([term.toLowerCase(), ...aliases.map(alias => alias.toLowerCase())])];
+}
+
+/**
+ * Whether text mentions a term as a whole word ("java" is not in "javascript",
+ * "hands-" is not in "hands-on")
+ */
+function containsTerm(text, term) {
+  return findTermOffset(text, term) !== null;
+}
+
+/**
+ * Helper: { index, length } of the first whole-word mention, or null
+ */
+function findTermOffset(text, term) {
+  const match = termPattern(term, 'i').exec(text);
+  return match ? { index: match.index, length: match[0].length } : null;
+}
+
+/**
+ * Helper: Whole-word pattern for a term
+ */
+function termPattern(term, flags) {
+  const escapedTerm = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\w-])${escapedTerm}(?![\\w-])`, flags);
+}
+
+module.exports = {
+  indexResumeLines,
+  findTermLocations,
+  findTermMentions,
+  termForms,
+  containsTerm
+};
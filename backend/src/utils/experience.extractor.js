@@ -9,33 +9,64 @@ try {
   console.log('compromise-dates not found, using basic date extraction');
 }
 
+// Date range patterns, most specific first
+const DATE_RANGE_PATTERNS = [
+  // "Jan 2020 - Dec 2023" or "January 2020 - December 2023"
+  /(\w+\.?\s+\d{4})\s*[-–—]\s*(\w+\.?\s+\d{4})/g,
+  // "01/2020 - 12/2023" or "2020 - 2023"
+  /(\d{1,2}\/\d{4})\s*[-–—]\s*(\d{1,2}\/\d{4})/g,
+  // "2020 - 2023"
+  /(\d{4})\s*[-–—]\s*(\d{4})/g,
+  // "Jan 2020 - Present"
+  /(\w+\.?\s+\d{4})\s*[-–—]\s*(present|current|now)/gi,
+  // "2020 - Present"
+  /(\d{4})\s*[-–—]\s*(present|current|now)/gi
+];
+
+// Words that mark the title part of a job header
+const JOB_TITLE_WORDS = [
+  'engineer', 'developer', 'manager', 'analyst', 'designer', 'consultant', 'specialist',
+  'lead', 'senior', 'junior', 'intern', 'architect', 'director', 'scientist', 'administrator',
+  'officer', 'coordinator', 'associate', 'head', 'principal', 'programmer', 'technician',
+  'president', 'founder', 'assistant', 'representative', 'executive', 'advisor', 'researcher'
+];
+
+// "Austin, TX" or "Remote" at the end of a header part
+const JOB_LOCATION_PATTERN = /(?:^|,\s*|\()((?:[A-Z][\w.]*(?:\s+[A-Z][\w.]*)*,\s*[A-Z]{2})|Remote|Hybrid|On-?site)\)?\s*$/;
+
+// Around a "N years" phrase: words that make it a date or a period of time
+// ("10 years ago", "in the last 5 years", "25 years in business") rather than
+// an amount of experience
+const NOT_EXPERIENCE_BEFORE = /(?<!\b(?:last|past|next|first|within)\s+)/.source;
+const NOT_EXPERIENCE_AFTER = /(?![\s-]+(?:(?:of|in)\s+)?(?:ago|old|later|earlier|since|running|contract|term|period|warranty|anniversary|history|business|operation|existence)\b)/.source;
+
+// Years-of-experience phrasings, ranges first: labeled ("Experience: 3-5 years")
+// or followed by anything but a date or period ("5 years building APIs"). A
+// range's lower bound is the bar ("3-5 years" asks for 3); other numbers are
+// taken as written.
+const YEARS_PATTERNS = [
+  // "3-5 years of experience", "3 to 5 yrs building APIs"
+  { pattern: new RegExp(`${NOT_EXPERIENCE_BEFORE}\\b(\\d+)\\s*(?:-|–|—|to)\\s*(\\d+)\\+?\\s*(?:years?|yrs?)\\b${NOT_EXPERIENCE_AFTER}`, 'gi'), bound: Math.min },
+  // "5+ years with React", "Experience: 5 years", "minimum 5 yrs"
+  { pattern: new RegExp(`${NOT_EXPERIENCE_BEFORE}\\b(\\d+)\\+?\\s*(?:years?|yrs?)\\b${NOT_EXPERIENCE_AFTER}`, 'gi'), bound: Math.max },
+  // "Years of experience: 5"
+  { pattern: /\bexperience\s*:\s*(\d{1,2})\+?(?!\d|\s*(?:-|–|—|to)\s*\d)/gi, bound: Math.max }
+];
+
 /**
  * Extract years of experience from job descriptions or resumes
+ * Returns the highest requirement found, or 0.
  */
 function extractYearsOfExperience(text) {
-  const patterns = [
-    // "5+ years of experience"
-    /(\d+)\+?\s*years?\s*(of\s*)?(experience|exp)/gi,
-    // "3-5 years experience"
-    /(\d+)\s*-\s*(\d+)\s*years?\s*(of\s*)?(experience|exp)/gi,
-    // "minimum 5 years"
-    /minimum\s*(\d+)\s*years?/gi,
-    // "at least 3 years"
-    /at\s+least\s+(\d+)\s*years?/gi
-  ];
-  
-  let years = [];
-  
-  patterns.forEach(pattern => {
-    const matches = text.matchAll(pattern);
-    for (const match of matches) {
-      if (match[2]) {
-        // Range: take the maximum
-        years.push(parseInt(match[2]));
-      } else if (match[1]) {
-        years.push(parseInt(match[1]));
-      }
+  let remaining = String(text || '');
+  const years = [];
+  
+  YEARS_PATTERNS.forEach(({ pattern, bound }) => {
+    for (const match of remaining.matchAll(pattern)) {
+      years.push(bound(...match.slice(1).map(Number)));
     }
+    // A phrase counts once: "3-5 years" is not read again as "5 years"
+    remaining = remaining.replace(pattern, match => ' '.repeat(match.length));
   });
   
   return years.length > 0 ? Math.max(...years) : 0;
@@ -49,13 +80,24 @@ function calculateTotalExperience(text) {
   
   if (dateRanges.length === 0) return 0;
   
+  // Merge overlapping ranges so concurrent roles are not counted twice
+  const sorted = dateRanges
+    .filter(range => range.start && range.end)
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  sorted.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      if (range.end > last.end) last.end = range.end;
+    } else {
+      merged.push({ start: range.start, end: range.end });
+    }
+  });
+  
   let totalMonths = 0;
   
-  dateRanges.forEach(range => {
-    if (range.start && range.end) {
-      const months = calculateMonthsBetween(range.start, range.end);
-      totalMonths += months;
-    }
+  merged.forEach(range => {
+    totalMonths += Math.max(0, calculateMonthsBetween(range.start, range.end));
   });
   
   return Math.round(totalMonths / 12 * 10) / 10; // Round to 1 decimal
@@ -68,24 +110,20 @@ function extractDateRanges(text) {
   const ranges = [];
   const lines = text.split('\n');
   
-  // Patterns for date ranges
-  const patterns = [
-    // "Jan 2020 - Dec 2023" or "January 2020 - December 2023"
-    /(\w+\.?\s+\d{4})\s*[-–—]\s*(\w+\.?\s+\d{4})/g,
-    // "01/2020 - 12/2023" or "2020 - 2023"
-    /(\d{1,2}\/\d{4})\s*[-–—]\s*(\d{1,2}\/\d{4})/g,
-    // "2020 - 2023"
-    /(\d{4})\s*[-–—]\s*(\d{4})/g,
-    // "Jan 2020 - Present"
-    /(\w+\.?\s+\d{4})\s*[-–—]\s*(present|current|now)/gi,
-    // "2020 - Present"
-    /(\d{4})\s*[-–—]\s*(present|current|now)/gi
-  ];
-  
   lines.forEach(line => {
-    patterns.forEach(pattern => {
+    // Character spans already claimed by an earlier (more specific) pattern
+    const claimed = [];
+    
+    DATE_RANGE_PATTERNS.forEach(pattern => {
       const matches = line.matchAll(pattern);
       for (const match of matches) {
+        const matchStart = match.index;
+        const matchEnd = match.index + match[0].length;
+        if (claimed.some(([start, end]) => matchStart < end && matchEnd > start)) {
+          continue;
+        }
+        claimed.push([matchStart, matchEnd]);
+        
         const startDate = parseDate(match[1]);
         const endDate = match[2].match(/present|current|now/i) 
           ? new Date() 
@@ -101,6 +139,63 @@ function extractDateRanges(text) {
   return ranges;
 }
 
+/**
+ * Split a job header ("Senior Engineer | Acme Corp | Austin, TX | Jan 2020 - Present")
+ * into its parts. Parts may come in any order; the title is the part with a job
+ * title word, the company the first other part.
+ * Returns { title, company, location, startDate, endDate, current } (dates are Date or null)
+ */
+function parseJobHeader(header) {
+  let rest = String(header || '');
+  let startDate = null;
+  let endDate = null;
+  let current = false;
+  
+  for (const pattern of DATE_RANGE_PATTERNS) {
+    const match = rest.matchAll(pattern).next().value;
+    if (match) {
+      current = /present|current|now/i.test(match[2]);
+      startDate = parseDate(match[1]);
+      endDate = current ? null : parseDate(match[2]);
+      rest = rest.slice(0, match.index) + rest.slice(match.index + match[0].length);
+      break;
+    }
+  }
+  
+  let location = null;
+  const parts = [];
+  rest.split(/\s*(?:\||•|·|–|—|\s-\s|\t)\s*/).forEach(rawPart => {
+    let part = rawPart.replace(/^[\s,;:(]+|[\s,;:(]+$/g, '').replace(/\(\s*\)/g, '').trim();
+    if (!location) {
+      const match = JOB_LOCATION_PATTERN.exec(part);
+      if (match) {
+        location = match[1];
+        part = part.slice(0, match.index).replace(/[\s,]+$/, '');
+      }
+    }
+    if (part) parts.push(part);
+  });
+  
+  // "Senior Engineer at Acme Corp" / "Senior Engineer, Acme Corp"
+  if (parts.length === 1) {
+    const split = /^(.+?)(?:\s+at\s+|\s+@\s+|,\s+)(.+)$/i.exec(parts[0]);
+    if (split && isJobTitle(split[1])) parts.splice(0, 1, split[1], split[2]);
+  }
+  
+  const title = parts.find(isJobTitle) || parts[0] || null;
+  const company = parts.find(part => part !== title) || null;
+  
+  return { title, company, location, startDate, endDate, current };
+}
+
+/**
+ * Helper: Whether text contains a job title word
+ */
+function isJobTitle(text) {
+  const words = text.toLowerCase().split(/[^a-z]+/);
+  return JOB_TITLE_WORDS.some(word => words.includes(word));
+}
+
 /**
  * Parse various date formats
  */
@@ -226,6 +321,7 @@ module.exports = {
   extractYearsOfExperience,
   calculateTotalExperience,
   extractDateRanges,
+  parseJobHeader,
   detectEmploymentGaps,
   extractExperienceLevel,
   parseDate,
@@ -0,0 +1,196 @@
+// File type detection from content bytes (magic numbers and container layout)
+// Client mimetypes are often generic (application/octet-stream) or wrong, so the
+// parser is chosen from what the bytes say the file is.
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+
+// How far into a file the PDF header may start (some generators prepend junk)
+const PDF_HEADER_WINDOW = 1024;
+
+// How much of a file is inspected to decide whether it is text
+const TEXT_SAMPLE_SIZE = 8192;
+
+const IMAGE_SIGNATURES = [
+  { format: 'png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { format: 'jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { format: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { format: 'tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { format: 'tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] }
+];
+
+// Main part of each OOXML package type
+const OOXML_MAIN_PARTS = {
+  'word/document.xml': 'docx',
+  'xl/workbook.xml': 'xlsx',
+  'ppt/presentation.xml': 'pptx'
+};
+
+// ODF packages name their type in an uncompressed "mimetype" entry
+const ODF_MIMETYPES = {
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+  'application/vnd.oasis.opendocument.presentation': 'odp'
+};
+
+/**
+ * Check whether a buffer starts with the given bytes
+ */
+function startsWith(buffer, bytes, offset = 0) {
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+/**
+ * Names of the entries in a ZIP archive, read from its central directory.
+ * Returns null when the archive is truncated or malformed.
+ */
+function listZipEntries(buffer) {
+  // The end-of-directory record sits in the last 22 bytes plus an optional comment (max 64 KB)
+  const searchStart = Math.max(0, buffer.length - 22 - 0xffff);
+  let end = -1;
+  for (let i = buffer.length - 22; i >= searchStart; i--) {
+    if (buffer.readUInt32LE(i) === ZIP_END_OF_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) return null;
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) return null;
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    entries.push({
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+      method: buffer.readUInt16LE(offset + 10),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Helper: Content of an uncompressed (stored) ZIP entry
+ */
+function readStoredZipEntry(buffer, entry) {
+  if (entry.method !== 0) return null;
+  const offset = entry.localOffset;
+  if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_LOCAL_HEADER) return null;
+
+  const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+  return buffer.toString('utf8', dataStart, dataStart + entry.size);
+}
+
+/**
+ * Identify a ZIP-based document (DOCX, ODT, ...) from its entries
+ */
+function sniffZipContainer(buffer) {
+  const entries = listZipEntries(buffer);
+  if (!entries) return { format: 'zip', description: 'damaged ZIP archive' };
+
+  const names = new Set(entries.map(entry => entry.name));
+  if (names.has('[Content_Types].xml')) {
+    const mainPart = Object.keys(OOXML_MAIN_PARTS).find(part => names.has(part));
+    if (mainPart) return { format: OOXML_MAIN_PARTS[mainPart], container: 'ooxml' };
+  }
+
+  const mimetypeEntry = entries.find(entry => entry.name === 'mimetype');
+  if (mimetypeEntry) {
+    const mimetype = (readStoredZipEntry(buffer, mimetypeEntry) || '').trim();
+    if (ODF_MIMETYPES[mimetype]) return { format: ODF_MIMETYPES[mimetype], container: 'odf' };
+  }
+
+  return { format: 'zip', description: 'ZIP archive' };
+}
+
+/**
+ * Identify an OLE compound file (legacy Office) from its directory stream names
+ */
+function sniffOleContainer(buffer) {
+  const hasStream = (name) => buffer.includes(Buffer.from(name, 'utf16le'));
+
+  if (hasStream('WordDocument')) return { format: 'doc', container: 'ole' };
+  if (hasStream('Workbook') || hasStream('Book')) return { format: 'xls', container: 'ole' };
+  if (hasStream('PowerPoint Document')) return { format: 'ppt', container: 'ole' };
+  return { format: 'ole', description: 'OLE compound file' };
+}
+
+/**
+ * Helper: Whether the whole file parses as JSON
+ */
+function isJson(buffer, utf16) {
+  try {
+    JSON.parse((utf16 ? buffer.toString('utf16le') : buffer.toString('utf8')).replace(/^\uFEFF|^\uFFFE/, ''));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Decide whether a file is text, and whether that text is HTML, RTF or JSON
+ */
+function sniffText(buffer) {
+  const hasUtf16Bom = startsWith(buffer, [0xff, 0xfe]) || startsWith(buffer, [0xfe, 0xff]);
+  const sample = buffer.subarray(0, TEXT_SAMPLE_SIZE);
+
+  if (!hasUtf16Bom) {
+    // NUL bytes, or many control characters, mean binary data
+    let control = 0;
+    for (const byte of sample) {
+      if (byte === 0) return null;
+      if (byte < 0x09 || (byte > 0x0d && byte < 0x20)) control++;
+    }
+    if (control > sample.length * 0.05) return null;
+  }
+
+  const text = hasUtf16Bom
+    ? sample.toString('utf16le').replace(/^\uFEFF|^\uFFFE/, '')
+    : sample.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (/^\s*\{\\rtf/.test(text)) return { format: 'rtf' };
+  if (/^\s*[{[]/.test(text) && isJson(buffer, hasUtf16Bom)) return { format: 'json' };
+  if (/^\s*(<!doctype\s+html|<html\b|<head\b|<body\b)/i.test(text) || /<html\b[\s\S]*<body\b/i.test(text)) {
+    return { format: 'html' };
+  }
+  return { format: 'text' };
+}
+
+/**
+ * Detect a file's real format from its bytes
+ * Returns { format, container?, description? } where format is one of
+ * pdf, docx, doc, odt, rtf, html, json, text, or another name for unsupported types
+ * (xlsx, pptx, xls, ppt, ods, odp, zip, ole, png, jpeg, gif, tiff, binary, empty)
+ */
+function sniffFileType(buffer) {
+  if (!buffer || buffer.length === 0) return { format: 'empty' };
+
+  const head = buffer.subarray(0, PDF_HEADER_WINDOW).toString('latin1');
+  if (head.includes('%PDF-')) return { format: 'pdf' };
+
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === ZIP_LOCAL_HEADER) {
+    return sniffZipContainer(buffer);
+  }
+
+  if (startsWith(buffer, OLE_SIGNATURE)) return sniffOleContainer(buffer);
+
+  const image = IMAGE_SIGNATURES.find(signature => startsWith(buffer, signature.bytes));
+  if (image) return { format: image.format, description: `${image.format.toUpperCase()} image` };
+
+  return sniffText(buffer) || { format: 'binary', description: 'binary data' };
+}
+
+module.exports = {
+  sniffFileType,
+  listZipEntries
+};
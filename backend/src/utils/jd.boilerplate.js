@@ -0,0 +1,105 @@
+// Job description boilerplate removal
+// EEO statements, benefits blocks and company blurbs are not requirements, but
+// their words ("veteran", "dental", "insurance") would otherwise become JD terms.
+
+// Headings that start a block of boilerplate, skipped up to the next heading
+const BOILERPLATE_HEADINGS = [
+  /^benefits?\b/, /^perks\b/, /^(what|why)\b.*\b(we offer|offer you|you'?ll get|join us|work (with|for) us)\b/,
+  /^compensation\b/, /^(salary|pay)( range)?\b/, /^equal (employment )?opportunity\b/, /^eeo\b/,
+  /^about (us|the company|our company)\b/, /^who we are\b/, /^our (commitment|mission|values|culture)\b/,
+  /^diversity\b/, /^(reasonable )?accommodations?\b/, /^(applicant )?privacy\b/, /^life at\b/
+];
+
+// Headings of requirement content, which end a skipped block
+const CONTENT_HEADINGS = [
+  /\b(responsibilities|requirements|qualifications|duties|skills|experience)\b/,
+  /^(about the (role|job|position|team)|the role|role overview|job (summary|description)|overview)\b/,
+  /^(what you('ll| will) (do|bring|need)|who you are|you have|you are|your (impact|role)|nice to have|preferred|bonus)\b/,
+  /^(we('re| are) looking for|ideal candidate|must have|tech stack|technologies)\b/
+];
+
+// Sentences typical of EEO, accommodation and e-verify statements
+const EEO_PATTERN = /\b(equal (employment )?opportunity( employer)?|affirmative action|without regard to|regardless of (race|age|gender|sex)|sexual orientation|gender identity|protected (veteran|characteristic|class)|veteran status|reasonable accommodations?|e-verify|fair chance|arrest (and|or) conviction|we celebrate diversity|do not discriminate)\b/i;
+
+// Benefit lines that appear outside a benefits heading (specific enough not to
+// match a dental or insurance role's requirements)
+const BENEFIT_LINE_PATTERN = /\b(401\(?k\)?|(medical|health),? (and )?dental|dental,? (and )?vision|(dental|vision) (insurance|coverage|plans?|benefits)|(health|medical|life) insurance|paid time off|\bPTO\b|parental leave|tuition reimbursement|commuter benefits?|wellness (stipend|program)|unlimited vacation)\b/i;
+
+// Longest line treated as a heading
+const MAX_HEADING_WORDS = 8;
+
+/**
+ * Remove EEO statements, benefits/perks blocks and "about us" blurbs from a JD.
+ * A boilerplate block runs from its heading to the next heading, or to a blank
+ * line followed by prose (a list after a blank line still belongs to it).
+ * Returns the original text when everything would be removed.
+ */
+function stripJDBoilerplate(jdText) {
+  if (!jdText) return jdText;
+
+  // Lines skipped in the current boilerplate block (-1 when not in one)
+  let skipped = -1;
+  let afterBlank = false;
+  const kept = [];
+
+  jdText.split('\n').forEach(line => {
+    const trimmed = line.trim();
+    const heading = toHeading(trimmed);
+
+    if (heading !== null && BOILERPLATE_HEADINGS.some(pattern => pattern.test(heading))) {
+      skipped = 0;
+      return;
+    }
+
+    if (skipped >= 0) {
+      if (!trimmed) {
+        afterBlank = afterBlank || skipped > 0;
+        return;
+      }
+      const endsBlock = heading !== null
+        ? CONTENT_HEADINGS.some(pattern => pattern.test(heading)) || afterBlank
+        : afterBlank && !/^([-*•▪◦]|\d+[.)])\s/.test(trimmed);
+      afterBlank = false;
+      if (!endsBlock) {
+        skipped++;
+        return;
+      }
+      skipped = -1;
+    }
+
+    if (isEEOStatement(trimmed) || BENEFIT_LINE_PATTERN.test(trimmed)) return;
+    kept.push(line);
+  });
+
+  const stripped = kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  return stripped || jdText;
+}
+
+/**
+ * Check whether a line is part of an EEO, accommodation or e-verify statement
+ */
+function isEEOStatement(line) {
+  return EEO_PATTERN.test(line);
+}
+
+/**
+ * Helper: Lowercased heading text when a line looks like a heading, else null.
+ * Headings are short lines ending in ":", Markdown headings, all-caps lines,
+ * or short unpunctuated lines that match a known heading.
+ */
+function toHeading(line) {
+  const text = line.replace(/^#+\s*/, '').replace(/^\*\*(.+)\*\*$/, '$1').trim();
+  if (!text || text.split(/\s+/).length > MAX_HEADING_WORDS) return null;
+
+  const lower = text.replace(/:$/, '').toLowerCase();
+  const explicit = /:$/.test(text) || /^#/.test(line) || (/[A-Z]/.test(text) && text === text.toUpperCase());
+  if (explicit) return lower;
+
+  const known = [...BOILERPLATE_HEADINGS, ...CONTENT_HEADINGS].some(pattern => pattern.test(lower));
+  return known && !/[.!?,;]$/.test(text) ? lower : null;
+}
+
+module.exports = {
+  stripJDBoilerplate,
+  isEEOStatement
+};
@@ -0,0 +1,195 @@
+// Job Description Structure Parsing
+// Splits a JD into its sections and turns each requirement bullet into a
+// requirement object whose required/preferred status comes from its section.
+
+const { extractYearsOfExperience } = require('./experience.extractor');
+const { extractDegrees, classifyDegreeLevel } = require('./education.extractor');
+const { isEEOStatement } = require('./jd.boilerplate');
+
+const JD_SECTION_HEADERS = {
+  about: [
+    'about us', 'about the company', 'about the role', 'about the job', 'about the position',
+    'about the team', 'who we are', 'overview', 'company overview', 'job summary', 'job description',
+    'position summary', 'role overview', 'the role', 'summary', 'the opportunity'
+  ],
+  responsibilities: [
+    'responsibilities', 'key responsibilities', 'job responsibilities', 'duties', 'what you will do',
+    "what you'll do", 'what you will be doing', "what you'll be doing", 'your role', 'your impact',
+    'day to day', 'in this role', 'the work'
+  ],
+  requirements: [
+    'requirements', 'qualifications', 'required qualifications', 'minimum qualifications',
+    'basic qualifications', 'required skills', 'skills', 'must have', 'must haves', 'must-haves',
+    'what you bring', 'what you will bring', "what you'll bring", 'what we are looking for',
+    "what we're looking for", 'what you need', "what you'll need", 'who you are', 'you have',
+    'experience', 'skills and experience', 'your background', 'ideal candidate'
+  ],
+  preferred: [
+    'preferred qualifications', 'preferred skills', 'preferred', 'nice to have', 'nice-to-have',
+    'nice to haves', 'bonus', 'bonus points', 'pluses', 'desired', 'desired skills',
+    'desired qualifications', 'additional qualifications', 'good to have', 'extra credit'
+  ],
+  benefits: [
+    'benefits', 'perks', 'perks and benefits', 'benefits and perks', 'what we offer', "what's in it for you",
+    'why join us', 'why work with us', 'compensation', 'salary', 'pay range', 'compensation and benefits'
+  ],
+  eeo: [
+    'equal opportunity', 'equal employment opportunity', 'equal opportunity employer', 'eeo',
+    'eeo statement', 'diversity', 'diversity and inclusion', 'diversity, equity and inclusion',
+    'accommodations', 'reasonable accommodations', 'our commitment'
+  ]
+};
+
+// Sections whose bullets become requirement objects, and the status they give
+const REQUIREMENT_SECTIONS = { requirements: 'required', preferred: 'preferred' };
+
+// A requirement bullet that says it is optional is preferred even under Requirements
+const PREFERRED_MARKERS = /\b(preferred|nice to have|a plus|is a plus|bonus|desirable|ideally|not required)\b/i;
+
+// Seniority words in a requirement, most senior first
+const LEVEL_PATTERNS = [
+  { level: 'executive', pattern: /\b(director|vp|vice president|head of|chief)\b/i },
+  { level: 'senior', pattern: /\b(senior|lead|principal|staff|expert)\b/i },
+  { level: 'mid', pattern: /\b(mid[\s-]level|intermediate)\b/i },
+  { level: 'entry', pattern: /\b(entry[\s-]level|junior|graduate|intern)\b/i }
+];
+
+// Longest line treated as a section heading
+const MAX_HEADING_WORDS = 8;
+
+const LIST_MARKER = /^([-*•▪◦‣·]|\d+[.)])\s+/;
+
+/**
+ * Split a job description into sections and requirement objects
+ * Returns {
+ *   sections: { about?, responsibilities?, requirements?, preferred?, benefits?, eeo? } (text),
+ *   requirements: [{ id, text, section, importance, years, degree, degreeLevel, level }]
+ * }
+ * Text before the first heading counts as "about"; EEO sentences go to "eeo"
+ * wherever they appear.
+ */
+function parseJobDescription(jdText) {
+  const sections = {};
+  let current = 'about';
+
+  String(jdText || '').split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    const section = detectJDSectionHeader(trimmed);
+    if (section) {
+      current = section;
+      // "Requirements: 5+ years of Go" keeps the text after the colon
+      const rest = trimmed.replace(/^[#*\s]*[^:]+:\s*/, '');
+      if (rest !== trimmed && rest) appendLine(sections, current, rest);
+      return;
+    }
+    // EEO statements often close a JD without a heading of their own
+    appendLine(sections, isEEOStatement(trimmed) ? 'eeo' : current, trimmed);
+  });
+
+  const requirements = [];
+  Object.entries(REQUIREMENT_SECTIONS).forEach(([section, importance]) => {
+    splitRequirementItems(sections[section]).forEach(text => {
+      requirements.push(buildRequirement(text, section, importance, requirements.length + 1));
+    });
+  });
+
+  return { sections, requirements };
+}
+
+/**
+ * Detect whether a line is a JD section heading
+ * Returns the section name or null. The longest matching header wins, so
+ * "Preferred Qualifications" is preferred rather than requirements.
+ */
+function detectJDSectionHeader(line) {
+  // Bullets are content ("- Skills: Python, Go")
+  if (LIST_MARKER.test(line)) return null;
+
+  const explicit = /:\s*$/.test(line) || /^#+\s/.test(line) || /^\*\*.+\*\*:?$/.test(line);
+  const text = line.replace(/^#+\s*/, '').replace(/\*\*/g, '').replace(/:\s*$/, '').trim();
+
+  // "Requirements: 5+ years of Go" is a heading with inline content
+  const inline = /^([^:]{3,60}):\s+\S/.exec(text);
+  const candidate = (inline ? inline[1] : text).toLowerCase().replace(/\s+/g, ' ').replace(/&/g, 'and').trim();
+
+  if (!candidate || candidate.split(' ').length > MAX_HEADING_WORDS) return null;
+  // Plain lines ending in a period are sentences, not headings
+  if (!explicit && !inline && /[.!?,;]$/.test(text)) return null;
+
+  let best = null;
+  Object.entries(JD_SECTION_HEADERS).forEach(([section, headers]) => {
+    headers.forEach(header => {
+      const matches = candidate === header ||
+        (candidate.startsWith(`${header} `) && (explicit || inline || candidate.split(' ').length <= 4));
+      if (matches && (!best || header.length > best.header.length)) {
+        best = { section, header };
+      }
+    });
+  });
+
+  // Unknown short lines only count as headings when they match exactly or are marked as headings
+  if (best && !explicit && !inline && candidate !== best.header && text !== text.toUpperCase()) {
+    return null;
+  }
+  return best ? best.section : null;
+}
+
+/**
+ * Helper: Add a line to a section's text
+ */
+function appendLine(sections, section, line) {
+  sections[section] = sections[section] ? `${sections[section]}\n${line}` : line;
+}
+
+/**
+ * Helper: One item per bullet. When the section uses list markers, unmarked
+ * lines continue the previous bullet (wrapped lines from PDFs); otherwise each
+ * line is an item, split further into sentences.
+ */
+function splitRequirementItems(sectionText) {
+  if (!sectionText) return [];
+
+  const lines = sectionText.split('\n').map(line => line.trim()).filter(Boolean);
+  const hasMarkers = lines.some(line => LIST_MARKER.test(line));
+  const items = [];
+
+  lines.forEach(line => {
+    if (hasMarkers && !LIST_MARKER.test(line) && items.length > 0) {
+      items[items.length - 1] += ` ${line}`;
+    } else {
+      items.push(line.replace(LIST_MARKER, ''));
+    }
+  });
+
+  return items
+    .flatMap(item => (hasMarkers ? [item] : item.split(/(?<=[.;])\s+(?=[A-Z])/)))
+    .map(item => item.trim())
+    .filter(item => /[a-z0-9]/i.test(item));
+}
+
+/**
+ * Helper: Requirement object for one bullet
+ */
+function buildRequirement(text, section, sectionImportance, number) {
+  const degrees = extractDegrees(text);
+  const levelMatch = LEVEL_PATTERNS.find(({ pattern }) => pattern.test(text));
+
+  return {
+    id: `req-${number}`,
+    text,
+    section,
+    importance: sectionImportance === 'required' && PREFERRED_MARKERS.test(text) ? 'preferred' : sectionImportance,
+    years: extractYearsOfExperience(text) || null,
+    degree: degrees[0] || null,
+    degreeLevel: degrees[0] ? classifyDegreeLevel(degrees[0]) : null,
+    level: levelMatch ? levelMatch.level : null
+  };
+}
+
+module.exports = {
+  JD_SECTION_HEADERS,
+  parseJobDescription,
+  detectJDSectionHeader
+};
@@ -0,0 +1,249 @@
+// HTML, Markdown and ODT (OpenDocument XML) to plain text
+// Each converter returns { text, headings: [{ text, depth }] } so section
+// detection can use the document's own heading markup (depth 1 = h1).
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—',
+  bull: '•', middot: '·', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', trade: '™'
+};
+
+// HTML elements that start a new line
+const HTML_BLOCK_TAGS = new Set([
+  'p', 'div', 'br', 'li', 'ul', 'ol', 'tr', 'table', 'section', 'article', 'header',
+  'footer', 'aside', 'main', 'nav', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote',
+  'pre', 'hr', 'dl', 'dt', 'dd', 'address'
+]);
+
+/**
+ * Decode named and numeric character references
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Helper: Read one attribute value from a tag's attribute string
+ */
+function getAttribute(attributes, name) {
+  const match = new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(attributes);
+  return match ? decodeEntities(match[2] ?? match[3] ?? match[4]) : null;
+}
+
+/**
+ * Helper: Collapse spaces inside lines and drop blank lines
+ */
+function tidyLines(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Convert HTML to text. Links keep their target when it is not already in the
+ * link text, so mailto: and profile URLs still reach contact extraction.
+ * options.tableCellsAsLines: put each table cell on its own line instead of joining with " | "
+ * Also returns listItems: the text of every <li>, for bullet detection
+ */
+function htmlToText(html, options = {}) {
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|template)\b[\s\S]*?<\/\1>/gi, '');
+
+  const headings = [];
+  const listItems = [];
+  let text = '';
+  let heading = null;
+  let link = null;
+  let listItem = null;
+
+  const finishListItem = () => {
+    if (listItem && listItem.text.trim()) listItems.push(listItem.text.replace(/\s+/g, ' ').trim());
+    listItem = null;
+  };
+
+  const tokenPattern = /<(\/?)([a-z][\w-]*)([^>]*)>|([^<]+)/gi;
+  let token;
+  while ((token = tokenPattern.exec(body)) !== null) {
+    const [, closing, rawTag, attributes, content] = token;
+
+    if (content !== undefined) {
+      const decoded = decodeEntities(content.replace(/\s+/g, ' '));
+      text += decoded;
+      if (heading) heading.text += decoded;
+      if (link) link.text += decoded;
+      if (listItem) listItem.text += decoded;
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    if (tag === 'a') {
+      if (!closing) {
+        link = { href: getAttribute(attributes, 'href'), text: '' };
+      } else if (link) {
+        const target = (link.href || '').replace(/^mailto:|^tel:/i, '');
+        if (target && !/^#|^javascript:/i.test(target) && !link.text.includes(target)) {
+          text += ` (${target})`;
+          if (listItem) listItem.text += ` (${target})`;
+        }
+        link = null;
+      }
+    } else if (/^h[1-6]$/.test(tag)) {
+      if (!closing) {
+        heading = { text: '', depth: Number(tag[1]) };
+      } else if (heading) {
+        if (heading.text.trim()) headings.push({ text: heading.text.trim(), depth: heading.depth });
+        heading = null;
+      }
+    } else if (tag === 'li') {
+      // A nested list ends its parent item's own text
+      finishListItem();
+      if (!closing) listItem = { text: '' };
+    }
+
+    if (tag === 'li' && !closing) {
+      text += '\n- ';
+    } else if ((tag === 'td' || tag === 'th') && closing) {
+      // Cells of a row stay on one line even when they hold paragraphs
+      text = options.tableCellsAsLines ? `${text}\n` : `${text.replace(/\s+$/, '')} | `;
+    } else if (HTML_BLOCK_TAGS.has(tag)) {
+      text += '\n';
+    }
+  }
+
+  finishListItem();
+
+  return {
+    text: tidyLines(text).replace(/ \|$/gm, ''),
+    headings,
+    listItems
+  };
+}
+
+/**
+ * Convert Markdown to text: drop emphasis, code and image syntax, keep link
+ * targets, turn list markers into "- " and headings into their own lines
+ */
+function markdownToText(markdown) {
+  const headings = [];
+  const sourceLines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  let inCodeBlock = false;
+
+  const lines = sourceLines.map((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      return '';
+    }
+    if (inCodeBlock) return line;
+
+    // Setext underlines (=== / ---), table separator rows and horizontal rules carry no text
+    if (/^\s*(=+|-+)\s*$/.test(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) return '';
+    if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) return '';
+
+    let text = line
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, href) => {
+        const target = href.replace(/^mailto:|^tel:/i, '');
+        return label.includes(target) ? label : `${label} (${target})`;
+      })
+      .replace(/<(https?:\/\/[^>]+|[^@\s>]+@[^>\s]+)>/g, '$1')
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|[\s(])[*_](\S(?:.*?\S)?)[*_](?=[\s).,;:!?]|$)/g, '$1$2')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/^\s*>\s?/, '')
+      .replace(/^(\s*)[*+]\s+/, '$1- ')
+      .replace(/^\s*\|(.*)\|\s*$/, (match, cells) => cells.split('|').map(cell => cell.trim()).join(' | '));
+
+    const atxHeading = /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/.exec(text);
+    const underline = sourceLines[index + 1];
+    if (atxHeading) {
+      text = atxHeading[2];
+      headings.push({ text, depth: atxHeading[1].length });
+    } else if (text.trim() && underline !== undefined && /^\s*(=+|-+)\s*$/.test(underline) && !/^\s*- /.test(text)) {
+      headings.push({ text: text.trim(), depth: underline.includes('=') ? 1 : 2 });
+    }
+    return text;
+  });
+
+  return {
+    text: tidyLines(lines.join('\n')),
+    headings
+  };
+}
+
+/**
+ * Convert an ODT content.xml to text. Paragraphs and headings become lines,
+ * list items get "- " and table cells are separated by " | ".
+ */
+function odtXmlToText(xml) {
+  const headings = [];
+  let text = '';
+  let heading = null;
+  // Skip annotations, change-tracking and frame descriptions
+  let skipDepth = 0;
+
+  const tokenPattern = /<(\/?)([\w:.-]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let token;
+  while ((token = tokenPattern.exec(xml)) !== null) {
+    const [, closing, tag, attributes, selfClosing, content] = token;
+
+    if (content !== undefined) {
+      if (skipDepth > 0) continue;
+      const decoded = decodeEntities(content);
+      text += decoded;
+      if (heading) heading.text += decoded;
+      continue;
+    }
+
+    if (['office:annotation', 'text:tracked-changes', 'svg:desc', 'svg:title'].includes(tag)) {
+      if (selfClosing) continue;
+      skipDepth += closing ? -1 : 1;
+      continue;
+    }
+    if (skipDepth > 0) continue;
+
+    if (tag === 'text:h') {
+      if (!closing && !selfClosing) {
+        heading = { text: '', depth: Number(getAttribute(attributes, 'text:outline-level')) || 1 };
+      } else if (closing && heading) {
+        if (heading.text.trim()) headings.push({ text: heading.text.trim(), depth: heading.depth });
+        heading = null;
+      }
+    }
+
+    if (tag === 'text:s') {
+      text += ' '.repeat(Number(getAttribute(attributes, 'text:c')) || 1);
+    } else if (tag === 'text:tab') {
+      text += '\t';
+    } else if (tag === 'text:line-break') {
+      text += '\n';
+    } else if (tag === 'text:list-item' && !closing) {
+      text += '\n- ';
+    } else if (tag === 'table:table-cell' && closing) {
+      text = `${text.replace(/\s+$/, '')} | `;
+    } else if ((tag === 'text:p' || tag === 'text:h' || tag === 'table:table-row') && (closing || selfClosing)) {
+      text += '\n';
+    }
+  }
+
+  // A list item's paragraph follows its "- " marker on the same line
+  return {
+    text: tidyLines(text.replace(/- \n/g, '- ')).replace(/ \|$/gm, ''),
+    headings
+  };
+}
+
+module.exports = {
+  decodeEntities,
+  htmlToText,
+  markdownToText,
+  odtXmlToText
+};
@@ -4,8 +4,14 @@ const winkNLP = require('wink-nlp');
 const model = require('wink-eng-lite-web-model');
 const { removeStopwords } = require('stopword');
 const stringSimilarity = require('string-similarity');
+const { PorterStemmer } = require('natural');
+const { resolveSkill } = require('./skill.taxonomy');
 
 const wink = winkNLP(model);
+const its = wink.its;
+
+// Word roots are looked up for every token comparison; words repeat a lot
+const wordRootCache = new Map();
 
 /**
  * STEP 1: Text Preprocessing
@@ -277,227 +283,25 @@ function extractActionVerbs(text) {
 
 /**
  * STEP 3: Semantic Normalization
- * Normalize synonyms and variations of skills - EXPANDED DICTIONARY
+ * Map synonyms and variations of a skill to its canonical taxonomy name
  */
-const skillNormalizations = {
-  // JavaScript Ecosystem
-  'reactjs': 'react',
-  'react.js': 'react',
-  'react native': 'react',
-  'nodejs': 'node.js',
-  'node': 'node.js',
-  'vuejs': 'vue',
-  'vue.js': 'vue',
-  'angularjs': 'angular',
-  'angular.js': 'angular',
-  'angular 2': 'angular',
-  'angular 4': 'angular',
-  'nextjs': 'next.js',
-  'next': 'next.js',
-  'nuxtjs': 'nuxt.js',
-  'nuxt': 'nuxt.js',
-  'express': 'express.js',
-  'expressjs': 'express.js',
-  'jquery': 'jquery',
-  'js': 'javascript',
-  'javascript': 'javascript',
-  'es6': 'javascript',
-  'ecmascript': 'javascript',
-  
-  // TypeScript
-  'ts': 'typescript',
-  'typescript': 'typescript',
-  
-  // Python
-  'py': 'python',
-  'python': 'python',
-  'python2': 'python',
-  'python3': 'python',
-  'django': 'django',
-  'flask': 'flask',
-  'fastapi': 'fastapi',
-  
-  // Databases
-  'postgres': 'postgresql',
-  'postgresql': 'postgresql',
-  'postgre': 'postgresql',
-  'psql': 'postgresql',
-  'mongo': 'mongodb',
-  'mongodb': 'mongodb',
-  'mysql': 'mysql',
-  'mariadb': 'mysql',
-  'mssql': 'sql server',
-  'sql server': 'sql server',
-  'oracle': 'oracle',
-  'redis': 'redis',
-  'elasticsearch': 'elasticsearch',
-  'cassandra': 'cassandra',
-  'dynamodb': 'dynamodb',
-  'nosql': 'nosql',
-  'sql': 'sql',
-  
-  // Cloud Platforms
-  'aws': 'amazon web services',
-  'amazon web services': 'aws',
-  'ec2': 'aws',
-  'lambda': 'aws lambda',
-  's3': 'aws s3',
-  'gcp': 'google cloud platform',
-  'google cloud': 'google cloud platform',
-  'google cloud platform': 'gcp',
-  'azure': 'microsoft azure',
-  'microsoft azure': 'azure',
-  
-  // DevOps & Tools
-  'k8s': 'kubernetes',
-  'kubernetes': 'kubernetes',
-  'docker': 'docker',
-  'ci/cd': 'continuous integration',
-  'cicd': 'continuous integration',
-  'continuous integration': 'ci/cd',
-  'continuous deployment': 'ci/cd',
-  'devops': 'development operations',
-  'jenkins': 'jenkins',
-  'gitlab': 'gitlab',
-  'github': 'github',
-  'git': 'git',
-  'bitbucket': 'bitbucket',
-  'terraform': 'terraform',
-  'ansible': 'ansible',
-  'puppet': 'puppet',
-  'chef': 'chef',
-  
-  // Web Technologies
-  'html': 'html5',
-  'html5': 'html',
-  'css': 'css3',
-  'css3': 'css',
-  'sass': 'scss',
-  'scss': 'sass',
-  'less': 'less',
-  'bootstrap': 'bootstrap',
-  'tailwind': 'tailwind css',
-  'tailwindcss': 'tailwind css',
-  'material ui': 'material-ui',
-  'mui': 'material-ui',
-  
-  // API & Communication
-  'api': 'apis',
-  'apis': 'api',
-  'rest': 'restful',
-  'restful': 'rest api',
-  'rest api': 'restful',
-  'graphql': 'graphql',
-  'grpc': 'grpc',
-  'websocket': 'websockets',
-  'websockets': 'websocket',
-  
-  // Machine Learning & AI
-  'ml': 'machine learning',
-  'machine learning': 'ml',
-  'ai': 'artificial intelligence',
-  'artificial intelligence': 'ai',
-  'deep learning': 'deep learning',
-  'dl': 'deep learning',
-  'nlp': 'natural language processing',
-  'natural language processing': 'nlp',
-  'tensorflow': 'tensorflow',
-  'pytorch': 'pytorch',
-  'keras': 'keras',
-  'scikit-learn': 'scikit-learn',
-  'sklearn': 'scikit-learn',
-  
-  // Mobile Development
-  'ios': 'ios',
-  'android': 'android',
-  'react native': 'react native',
-  'flutter': 'flutter',
-  'swift': 'swift',
-  'kotlin': 'kotlin',
-  'objective-c': 'objective-c',
-  'objective c': 'objective-c',
-  
-  // Testing
-  'jest': 'jest',
-  'mocha': 'mocha',
-  'chai': 'chai',
-  'junit': 'junit',
-  'pytest': 'pytest',
-  'selenium': 'selenium',
-  'cypress': 'cypress',
-  'testing': 'testing',
-  'unit testing': 'testing',
-  'integration testing': 'testing',
-  'e2e': 'end-to-end testing',
-  'end to end testing': 'e2e',
-  
-  // Methodologies
-  'agile': 'agile',
-  'scrum': 'scrum',
-  'kanban': 'kanban',
-  'waterfall': 'waterfall',
-  'tdd': 'test driven development',
-  'test driven development': 'tdd',
-  'bdd': 'behavior driven development',
-  
-  // Other Languages
-  'java': 'java',
-  'c#': 'c sharp',
-  'c sharp': 'c#',
-  'c++': 'c++',
-  'c': 'c',
-  'go': 'golang',
-  'golang': 'go',
-  'rust': 'rust',
-  'ruby': 'ruby',
-  'php': 'php',
-  'r': 'r',
-  'scala': 'scala',
-  'elixir': 'elixir',
-  
-  // CMS & E-commerce
-  'wordpress': 'wordpress',
-  'wp': 'wordpress',
-  'drupal': 'drupal',
-  'shopify': 'shopify',
-  'magento': 'magento',
-  'woocommerce': 'woocommerce',
-  
-  // Business Tools
-  'salesforce': 'salesforce',
-  'sap': 'sap',
-  'oracle': 'oracle',
-  'jira': 'jira',
-  'confluence': 'confluence',
-  'slack': 'slack',
-  'teams': 'microsoft teams',
-  'microsoft teams': 'teams',
-  
-  // Data & Analytics
-  'tableau': 'tableau',
-  'power bi': 'power bi',
-  'powerbi': 'power bi',
-  'looker': 'looker',
-  'excel': 'excel',
-  'spreadsheets': 'excel',
-  'google sheets': 'google sheets',
-  'spark': 'apache spark',
-  'apache spark': 'spark',
-  'hadoop': 'hadoop',
-  'kafka': 'apache kafka',
-  'apache kafka': 'kafka',
-  'airflow': 'airflow',
-  
-  // Version Control
-  'version control': 'git',
-  'source control': 'git',
-  'svn': 'subversion',
-  'subversion': 'svn'
-};
-
 function normalizeSkill(skill) {
   const lower = skill.toLowerCase().trim();
-  return skillNormalizations[lower] || lower;
+  return resolveSkill(lower) || lower;
+}
+
+/**
+ * Roots of a word: its wink-nlp lemma and the Porter stems of the word and the lemma
+ * "managed", "managing" and "management" share "manag"; "led" and "leading"
+ * share "lead"; "deploying" and "deployment" share the lemma "deploy"
+ */
+function getWordRoots(word) {
+  const lower = String(word || '').toLowerCase();
+  if (!wordRootCache.has(lower)) {
+    const lemma = wink.readDoc(lower).tokens().out(its.lemma)[0] || lower;
+    wordRootCache.set(lower, new Set([lemma, PorterStemmer.stem(lower), PorterStemmer.stem(lemma)]));
+  }
+  return wordRootCache.get(lower);
 }
 
 /**
@@ -587,9 +391,10 @@ function isGenericVerb(verb) {
 }
 
 /**
- * Calculate TF-IDF scores for terms in document
+ * Calculate normalized term frequencies for words in a document
+ * (inverse document frequencies come from the relevance background corpus)
  */
-function calculateTFIDF(text, allDocuments = []) {
+function calculateTermFrequency(text) {
   const words = preprocessText(text).split(/\s+/);
   const totalWords = words.length;
   
@@ -606,27 +411,6 @@ function calculateTFIDF(text, allDocuments = []) {
     termFreq[term] = termFreq[term] / totalWords;
   });
   
-  // If we have multiple documents, calculate IDF
-  if (allDocuments.length > 1) {
-    const docCount = allDocuments.length;
-    const idf = {};
-    
-    Object.keys(termFreq).forEach(term => {
-      const docsWithTerm = allDocuments.filter(doc => 
-        doc.toLowerCase().includes(term)
-      ).length;
-      idf[term] = Math.log(docCount / (docsWithTerm + 1));
-    });
-    
-    // Calculate TF-IDF
-    const tfidf = {};
-    Object.keys(termFreq).forEach(term => {
-      tfidf[term] = termFreq[term] * (idf[term] || 0);
-    });
-    
-    return tfidf;
-  }
-  
   return termFreq;
 }
 
@@ -638,9 +422,10 @@ module.exports = {
   extractPhrases,
   extractActionVerbs,
   normalizeSkill,
+  getWordRoots,
   calculateSimilarity,
   findBestMatch,
-  calculateTFIDF,
+  calculateTermFrequency,
   isGenericWord,
   isGenericPhrase
 };
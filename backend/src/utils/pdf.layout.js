@@ -0,0 +1,273 @@
+// PDF layout reconstruction from pdf2json output
+// Rebuilds lines and reading order from text positions, detects multi-column
+// pages and marks probable headings by font size and weight.
+
+// pdf2json positions are in page units of 1/4.5 inch; run widths (w) are in points
+const POINTS_PER_UNIT = 16;
+
+// Runs whose vertical positions differ by less than this share a line (page units)
+const LINE_TOLERANCE = 0.3;
+
+// Minimum empty vertical strip between two columns (page units, ~1/4 inch)
+const MIN_GUTTER_WIDTH = 1;
+
+// Left-column lines below the end of the right column are single-column content
+// when they follow a gap this many times the columns' line spacing
+const COLUMN_END_GAP_RATIO = 1.5;
+
+// A heading is noticeably larger than body text, or bold and short
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_WORDS = 6;
+
+/**
+ * Decode a pdf2json text run, falling back to the raw text if it is not URI-encoded
+ */
+function decodeRun(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * Flatten a pdf2json page into positioned runs: { x, y, width, text, size, bold }
+ */
+function collectRuns(page) {
+  const runs = [];
+
+  (page.Texts || []).forEach(item => {
+    (item.R || []).forEach(run => {
+      if (!run.T) return;
+      const text = decodeRun(run.T);
+      if (!text.trim()) return;
+
+      const [, size = 0, bold = 0] = run.TS || [];
+      runs.push({
+        x: item.x,
+        y: item.y,
+        width: item.w ? item.w / POINTS_PER_UNIT : text.length * size * 0.5 / POINTS_PER_UNIT,
+        text,
+        size,
+        bold: bold === 1
+      });
+    });
+  });
+
+  return runs;
+}
+
+/**
+ * Find the x position of a vertical gutter splitting the page into two columns,
+ * or null for single-column pages. Full-width lines (name, contact bar) may cross it.
+ */
+function findColumnGutter(runs, pageWidth) {
+  if (runs.length < 6 || !pageWidth) return null;
+
+  const binSize = 0.25;
+  const binCount = Math.ceil(pageWidth / binSize);
+  const coverage = new Array(binCount).fill(0);
+
+  runs.forEach(run => {
+    const start = Math.max(0, Math.floor(run.x / binSize));
+    const end = Math.min(binCount - 1, Math.ceil((run.x + run.width) / binSize));
+    for (let i = start; i <= end; i++) coverage[i]++;
+  });
+
+  // Only a few runs may cross the gutter, and it must sit in the middle of the page
+  const allowedCrossings = Math.max(1, Math.floor(runs.length * 0.05));
+  const minBin = Math.floor(binCount * 0.2);
+  const maxBin = Math.ceil(binCount * 0.8);
+
+  let best = null;
+  let gapStart = null;
+  for (let i = minBin; i <= maxBin; i++) {
+    const open = i < maxBin && coverage[i] <= allowedCrossings;
+    if (open && gapStart === null) gapStart = i;
+    if (!open && gapStart !== null) {
+      if (!best || i - gapStart > best.end - best.start) best = { start: gapStart, end: i };
+      gapStart = null;
+    }
+  }
+
+  if (!best || (best.end - best.start) * binSize < MIN_GUTTER_WIDTH) return null;
+
+  const gutter = ((best.start + best.end) / 2) * binSize;
+
+  // Both sides need real content, otherwise it is an indent, not a column
+  const left = runs.filter(run => run.x + run.width <= gutter).length;
+  const right = runs.filter(run => run.x >= gutter).length;
+  const minSide = runs.length * 0.15;
+  return left >= minSide && right >= minSide ? gutter : null;
+}
+
+/**
+ * Group runs into lines (top to bottom, left to right within a line)
+ */
+function buildLines(runs) {
+  const sorted = [...runs].sort((a, b) => a.y - b.y || a.x - b.x);
+  const lines = [];
+
+  sorted.forEach(run => {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(run.y - line.y) < LINE_TOLERANCE) {
+      line.runs.push(run);
+    } else {
+      lines.push({ y: run.y, runs: [run] });
+    }
+  });
+
+  return lines.map(line => {
+    const lineRuns = line.runs.sort((a, b) => a.x - b.x);
+    let text = '';
+    lineRuns.forEach((run, index) => {
+      const previous = lineRuns[index - 1];
+      // Word fragments placed back to back are joined without a space
+      const gap = previous ? run.x - (previous.x + previous.width) : 0;
+      text += previous && gap > 0.1 && !/\s$/.test(text) && !/^\s/.test(run.text) ? ` ${run.text}` : run.text;
+    });
+
+    return {
+      y: line.y,
+      text: text.replace(/\s+/g, ' ').trim(),
+      size: Math.max(...lineRuns.map(run => run.size)),
+      bold: lineRuns.every(run => run.bold)
+    };
+  });
+}
+
+/**
+ * Order a page's lines for reading. Two-column pages are split into bands at
+ * full-width lines; within a band the left column is read before the right,
+ * then any single-column content below the columns.
+ */
+function orderPageLines(runs, gutter) {
+  if (gutter === null) return buildLines(runs);
+
+  const spanning = runs.filter(run => run.x < gutter && run.x + run.width > gutter);
+  const columnRuns = runs.filter(run => !spanning.includes(run));
+  const breaks = buildLines(spanning);
+
+  const ordered = [];
+  let top = -Infinity;
+  [...breaks, { y: Infinity }].forEach(breakLine => {
+    const band = columnRuns.filter(run => run.y >= top && run.y < breakLine.y);
+    const columnsEnd = findColumnsEnd(band, gutter);
+    const columns = band.filter(run => run.y < columnsEnd);
+    ordered.push(...buildLines(columns.filter(run => run.x < gutter)));
+    ordered.push(...buildLines(columns.filter(run => run.x >= gutter)));
+    ordered.push(...buildLines(band.filter(run => run.y >= columnsEnd)));
+    if (breakLine.text !== undefined) ordered.push(breakLine);
+    top = breakLine.y;
+  });
+
+  return ordered;
+}
+
+/**
+ * Helper: y position where a band's two columns end, or Infinity when they
+ * run to its bottom. Once the right column has stopped, a left-column line
+ * after a gap wider than the columns' line spacing starts single-column
+ * content (an EDUCATION heading under the columns); a left column that simply
+ * runs longer keeps its normal spacing.
+ */
+function findColumnsEnd(band, gutter) {
+  const leftLines = buildLines(band.filter(run => run.x < gutter));
+  const rightLines = buildLines(band.filter(run => run.x >= gutter));
+  if (rightLines.length === 0) return Infinity;
+
+  const rightBottom = rightLines[rightLines.length - 1].y;
+  const spacings = [leftLines.filter(line => line.y <= rightBottom), rightLines]
+    .flatMap(lines => lines.slice(1).map((line, index) => line.y - lines[index].y))
+    .sort((a, b) => a - b);
+  if (spacings.length === 0) return Infinity;
+
+  const maxGap = spacings[Math.floor(spacings.length / 2)] * COLUMN_END_GAP_RATIO;
+  const end = leftLines.find((line, index) => index > 0
+    && line.y >= rightBottom + LINE_TOLERANCE
+    && line.y - Math.max(leftLines[index - 1].y, rightBottom) > maxGap);
+  return end ? end.y : Infinity;
+}
+
+/**
+ * Most common font size weighted by text length, i.e. the body text size
+ */
+function findBodySize(lines) {
+  const weights = new Map();
+  lines.forEach(line => {
+    weights.set(line.size, (weights.get(line.size) || 0) + line.text.length);
+  });
+
+  let bodySize = 0;
+  let bestWeight = -1;
+  weights.forEach((weight, size) => {
+    if (weight > bestWeight) {
+      bodySize = size;
+      bestWeight = weight;
+    }
+  });
+  return bodySize;
+}
+
+/**
+ * Heading level of a line, or 0 when it reads like body text.
+ * Level 1 is set larger than body text; level 2 is bold at body size, which
+ * also covers bold job titles, so it is a weaker signal.
+ */
+function getHeadingLevel(line, bodySize, bodyIsBold) {
+  const words = line.text.split(/\s+/).length;
+  if (words > MAX_HEADING_WORDS || /[.,;]$/.test(line.text) || /\d{4}/.test(line.text)) return 0;
+  if (!/[a-z]/i.test(line.text)) return 0;
+
+  if (bodySize > 0 && line.size >= bodySize * HEADING_SIZE_RATIO) return 1;
+  return line.bold && !bodyIsBold ? 2 : 0;
+}
+
+/**
+ * Reconstruct text and layout from pdf2json data
+ * Returns { text, pageCount, columnsPerPage, multiColumn, headings: [{ text, level, page, size, bold }],
+ *   pages: [{ width, height, columns, lines: [{ text, y, size, bold }] }] }
+ */
+function extractPdfLayout(pdfData) {
+  const pages = (pdfData && pdfData.Pages) || [];
+
+  const pageLines = pages.map(page => {
+    const runs = collectRuns(page);
+    const gutter = findColumnGutter(runs, page.Width);
+    return {
+      width: page.Width,
+      height: page.Height,
+      columns: gutter === null ? 1 : 2,
+      lines: orderPageLines(runs, gutter)
+    };
+  });
+
+  const allLines = pageLines.flatMap(page => page.lines);
+  const bodySize = findBodySize(allLines);
+  const boldChars = allLines.filter(line => line.bold).reduce((sum, line) => sum + line.text.length, 0);
+  const totalChars = allLines.reduce((sum, line) => sum + line.text.length, 0);
+  const bodyIsBold = totalChars > 0 && boldChars / totalChars > 0.5;
+
+  const headings = [];
+  pageLines.forEach((page, pageIndex) => {
+    page.lines.forEach(line => {
+      const level = getHeadingLevel(line, bodySize, bodyIsBold);
+      if (level > 0) {
+        headings.push({ text: line.text, level, page: pageIndex + 1, size: line.size, bold: line.bold });
+      }
+    });
+  });
+
+  return {
+    text: pageLines.map(page => page.lines.map(line => line.text).join('\n')).join('\n\n').trim(),
+    pageCount: pages.length,
+    columnsPerPage: pageLines.map(page => page.columns),
+    multiColumn: pageLines.some(page => page.columns > 1),
+    headings,
+    pages: pageLines
+  };
+}
+
+module.exports = {
+  extractPdfLayout
+};
@@ -0,0 +1,148 @@
+// Document-level relevance
+// Scores how close a resume is to a job description as whole documents: both
+// become TF-IDF vectors (IDF from a background corpus) and their cosine is the
+// relevance, the way ATS search ranks resumes for a posting. The bundled corpus
+// is a small placeholder; RELEVANCE_CORPUS_PATH supplies a real one.
+const fs = require('fs');
+const path = require('path');
+const { removeStopwords } = require('stopword');
+const { PorterStemmer } = require('natural');
+const { resolveSkill } = require('./skill.taxonomy');
+const { tokenizeSkill } = require('./skill.matcher');
+
+const DEFAULT_CORPUS_PATH = path.join(__dirname, '..', 'data', 'background-corpus.json');
+
+// Cosine at which a resume counts as fully relevant; resumes written for a
+// posting rarely pass it, since they also describe other work
+const FULL_RELEVANCE_COSINE = 0.5;
+
+// Shared terms reported with the score
+const MAX_SHARED_TERMS = 10;
+
+let cachedCorpus = null;
+
+/**
+ * Load a background corpus ({ documents: [text, ...] }) from
+ * RELEVANCE_CORPUS_PATH or the bundled file
+ * Returns { documentCount, documentFrequency: Map<term, documents containing it> }
+ */
+function loadBackgroundCorpus(filePath = process.env.RELEVANCE_CORPUS_PATH || DEFAULT_CORPUS_PATH) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!raw || !Array.isArray(raw.documents) || raw.documents.length === 0) {
+    throw new Error(`Background corpus ${filePath} must contain a non-empty "documents" list`);
+  }
+
+  const documentFrequency = new Map();
+  raw.documents.forEach(document => {
+    new Set(indexTerms(String(document)).map(({ term }) => term)).forEach(term => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+
+  return { documentCount: raw.documents.length, documentFrequency };
+}
+
+/**
+ * The corpus is loaded once per process
+ */
+function getBackgroundCorpus() {
+  if (!cachedCorpus) {
+    cachedCorpus = loadBackgroundCorpus();
+  }
+  return cachedCorpus;
+}
+
+/**
+ * Relevance of a resume to a job description
+ * Returns { score (0-1), cosine, sharedTerms }: cosine is the TF-IDF cosine
+ * similarity, score scales it so FULL_RELEVANCE_COSINE counts as 1, and
+ * sharedTerms are the words that contribute most, as the JD writes them.
+ */
+function scoreDocumentRelevance(resumeText, jdText) {
+  const resume = buildVector(resumeText);
+  const jd = buildVector(jdText);
+
+  let dot = 0;
+  const shared = [];
+  jd.weights.forEach((weight, term) => {
+    if (!resume.weights.has(term)) return;
+    const contribution = weight * resume.weights.get(term);
+    dot += contribution;
+    shared.push({ term: jd.surface.get(term), contribution });
+  });
+
+  const cosine = resume.norm > 0 && jd.norm > 0 ? dot / (resume.norm * jd.norm) : 0;
+  return {
+    score: Math.min(1, cosine / FULL_RELEVANCE_COSINE),
+    cosine,
+    sharedTerms: shared
+      .sort((a, b) => b.contribution - a.contribution)
+      .slice(0, MAX_SHARED_TERMS)
+      .map(({ term }) => term)
+  };
+}
+
+/**
+ * Inverse document frequency of a term in the background corpus (smoothed, so
+ * terms the corpus never uses weigh most); a phrase gets the mean of its words
+ */
+function inverseDocumentFrequency(term) {
+  const terms = indexTerms(term);
+  if (terms.length === 0) return 1;
+  const { documentCount, documentFrequency } = getBackgroundCorpus();
+  return terms.reduce((sum, entry) => sum + smoothedIdf(entry.term, documentCount, documentFrequency), 0) / terms.length;
+}
+
+/**
+ * Helper: TF-IDF weights of a text (sublinear term frequency, smoothed IDF),
+ * its norm, and the first spelling of each term
+ */
+function buildVector(text) {
+  const { documentCount, documentFrequency } = getBackgroundCorpus();
+  const counts = new Map();
+  const surface = new Map();
+  indexTerms(text).forEach(({ term, word }) => {
+    counts.set(term, (counts.get(term) || 0) + 1);
+    if (!surface.has(term)) surface.set(term, word);
+  });
+
+  const weights = new Map();
+  let squares = 0;
+  counts.forEach((count, term) => {
+    const weight = (1 + Math.log(count)) * smoothedIdf(term, documentCount, documentFrequency);
+    weights.set(term, weight);
+    squares += weight * weight;
+  });
+
+  return { weights, norm: Math.sqrt(squares), surface };
+}
+
+/**
+ * Helper: log((N + 1) / (df + 1)) + 1
+ */
+function smoothedIdf(term, documentCount, documentFrequency) {
+  return Math.log((documentCount + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1;
+}
+
+/**
+ * Helper: Index terms of a text: stopwords dropped, known skills in canonical
+ * form ("k8s" is "kubernetes"), other words stemmed ("managed" is "manag")
+ * Returns [{ term, word }] in text order.
+ */
+function indexTerms(text) {
+  const words = removeStopwords(tokenizeSkill(text)).filter(word => /[a-z]/.test(word));
+  return words
+    .filter(word => word.length > 1 || resolveSkill(word))
+    .map(word => {
+      const canonical = resolveSkill(word);
+      if (canonical) return { term: canonical, word };
+      return { term: /^[a-z]+$/.test(word) ? PorterStemmer.stem(word) : word, word };
+    });
+}
+
+module.exports = {
+  loadBackgroundCorpus,
+  getBackgroundCorpus,
+  inverseDocumentFrequency,
+  scoreDocumentRelevance
+};
@@ -0,0 +1,141 @@
+// RTF to plain text
+// Handles groups, paragraph/line/tab control words, hex and unicode escapes,
+// and skips destinations that hold no body text (font tables, pictures, ...).
+
+// Destinations whose content is formatting or metadata, not resume text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'info',
+  'pict', 'object', 'themedata', 'colorschememapping', 'latentstyles', 'datastore',
+  'xmlnstbl', 'rsidtbl', 'generator', 'header', 'headerl', 'headerr', 'headerf',
+  'footer', 'footerl', 'footerr', 'footerf', 'fldinst', 'bkmkstart', 'bkmkend'
+]);
+
+// Control words that produce text
+const CONTROL_WORD_TEXT = {
+  par: '\n',
+  line: '\n',
+  sect: '\n',
+  page: '\n',
+  row: '\n',
+  tab: '\t',
+  cell: ' | ',
+  bullet: '•',
+  emdash: '—',
+  endash: '–',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  emspace: ' ',
+  enspace: ' '
+};
+
+// Windows-1252 bytes 0x80-0x9F that differ from Latin-1
+const CP1252 = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡',
+  0x88: 'ˆ', 0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘',
+  0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—',
+  0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+/**
+ * Check whether content looks like RTF
+ */
+function isRtf(content) {
+  return /^\s*\{\\rtf/.test(content);
+}
+
+/**
+ * Convert RTF source to plain text
+ */
+function rtfToText(rtf) {
+  let output = '';
+  // Per-group state: skipping a destination, and how many chars follow a \u escape
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let pendingSkip = 0;
+  let i = 0;
+
+  const emit = (text) => {
+    if (state.skip) return;
+    if (pendingSkip > 0) {
+      // Characters after \uN are fallbacks for readers without Unicode support
+      const dropped = Math.min(pendingSkip, text.length);
+      pendingSkip -= dropped;
+      text = text.slice(dropped);
+    }
+    output += text;
+  };
+
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      pendingSkip = 0;
+      i++;
+    } else if (char === '}') {
+      state = stack.pop() || { skip: false, unicodeSkip: 1 };
+      pendingSkip = 0;
+      i++;
+    } else if (char === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+      } else if (next === "'") {
+        const code = parseInt(rtf.slice(i + 2, i + 4), 16);
+        emit(Number.isNaN(code) ? '' : CP1252[code] || String.fromCharCode(code));
+        i += 4;
+      } else if (next === '*') {
+        // {\* ...} marks an optional destination this reader does not know
+        state.skip = true;
+        i += 2;
+      } else if (next === '~') {
+        emit(' ');
+        i += 2;
+      } else if (next === '-' || next === '_') {
+        emit(next === '_' ? '-' : '');
+        i += 2;
+      } else if (next === '\n' || next === '\r') {
+        emit('\n');
+        i += 2;
+      } else {
+        const match = /^\\([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i, i + 40));
+        if (!match) {
+          i++;
+          continue;
+        }
+        const [token, word, param] = match;
+        i += token.length;
+
+        if (SKIPPED_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === 'u' && param !== undefined) {
+          const code = Number(param) < 0 ? Number(param) + 65536 : Number(param);
+          emit(String.fromCharCode(code));
+          pendingSkip = state.unicodeSkip;
+        } else if (word === 'uc' && param !== undefined) {
+          state.unicodeSkip = Number(param);
+        } else if (CONTROL_WORD_TEXT[word]) {
+          emit(CONTROL_WORD_TEXT[word]);
+        }
+      }
+    } else if (char === '\n' || char === '\r') {
+      // Raw line breaks in RTF source are not text
+      i++;
+    } else {
+      emit(char);
+      i++;
+    }
+  }
+
+  return output;
+}
+
+module.exports = {
+  isRtf,
+  rtfToText
+};
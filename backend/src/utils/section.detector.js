@@ -19,10 +19,16 @@ const SECTION_HEADERS = {
 /**
  * Detect sections in resume text
  * Returns object with section names as keys and content as values
+ *
+ * options.headings: layout hints from the document ([{ text, level }] or strings).
+ * With hints, loose header matches must be on a heading line, and prominent
+ * (level 1) headings of unknown sections start their own section instead of
+ * running into the previous one or the header.
  */
-function detectSections(resumeText) {
+function detectSections(resumeText, options = {}) {
   if (!resumeText) return {};
   
+  const headingLevels = buildHeadingIndex(options.headings);
   const lines = resumeText.split('\n');
   const sections = {};
   let currentSection = 'header';
@@ -35,7 +41,15 @@ function detectSections(resumeText) {
     if (!trimmed) return;
     
     // Check if this line is a section header
-    const detectedSection = detectSectionHeader(trimmed);
+    const headingLevel = headingLevels ? headingLevels.get(normalizeHeading(trimmed)) || 0 : null;
+    let detectedSection = detectSectionHeader(trimmed, { strict: headingLevel === 0 });
+    
+    // Unknown prominent headings are sections of their own; only a title heading
+    // that opens the document (the candidate's name) stays in the header
+    const isTitle = currentSection === 'header' && currentContent.length === 0;
+    if (!detectedSection && headingLevel === 1 && !isTitle) {
+      detectedSection = normalizeHeading(trimmed);
+    }
     
     if (detectedSection) {
       // Save previous section
@@ -60,11 +74,61 @@ function detectSections(resumeText) {
   return sections;
 }
 
+/**
+ * Helper: Map of normalized heading text -> level, or null without hints
+ */
+function buildHeadingIndex(headings) {
+  if (!Array.isArray(headings) || headings.length === 0) return null;
+  
+  const index = new Map();
+  headings.forEach(heading => {
+    const text = typeof heading === 'string' ? heading : heading.text;
+    const level = typeof heading === 'string' ? 1 : heading.level || 1;
+    const key = normalizeHeading(text);
+    // Keep the strongest level when the same text appears twice
+    if (key && (!index.has(key) || level < index.get(key))) {
+      index.set(key, level);
+    }
+  });
+  return index;
+}
+
+/**
+ * Helper: Lowercase heading text without trailing colons or extra spaces
+ */
+function normalizeHeading(text) {
+  return String(text || '').toLowerCase().replace(/[:\s]+$/, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Turn document heading depths (h1, h2, ...) into section detection levels.
+ * The shallowest depth used by a known section header (Skills, Experience, ...)
+ * is the section level: headings at or above it are level 1, deeper ones
+ * (job titles, sub-headings) level 2.
+ * headings: [{ text, depth }] -> [{ text, depth, level }]
+ */
+function assignHeadingLevels(headings) {
+  if (!Array.isArray(headings) || headings.length === 0) return [];
+  
+  const sectionDepths = headings
+    .filter(heading => detectSectionHeader(heading.text.trim()))
+    .map(heading => heading.depth || 1);
+  const sectionDepth = sectionDepths.length > 0
+    ? Math.min(...sectionDepths)
+    : Math.min(...headings.map(heading => heading.depth || 1));
+  
+  return headings.map(heading => ({
+    ...heading,
+    level: (heading.depth || 1) <= sectionDepth ? 1 : 2
+  }));
+}
+
 /**
  * Detect if a line is a section header
  * Returns section name or null
+ * options.strict: only accept exact header matches (line is known not to be a heading)
  */
-function detectSectionHeader(line) {
+function detectSectionHeader(line, options = {}) {
   const lower = line.toLowerCase().trim();
   
   // Check for exact matches first
@@ -74,6 +138,8 @@ function detectSectionHeader(line) {
     }
   }
   
+  if (options.strict) return null;
+  
   // Check for partial matches
   for (const [sectionName, headers] of Object.entries(SECTION_HEADERS)) {
     if (headers.some(header => lower.includes(header))) {
@@ -89,10 +155,17 @@ function detectSectionHeader(line) {
 
 /**
  * Extract structured information from experience section
+ * options.listItems: text of the document's real list items (from DOCX/HTML markup).
+ * With them, bullets are known rather than guessed, and the plain lines
+ * before a job's bullets (title, company, dates) form one job header.
  */
-function parseExperienceSection(experienceText) {
+function parseExperienceSection(experienceText, options = {}) {
   if (!experienceText) return [];
   
+  if (Array.isArray(options.listItems) && options.listItems.length > 0) {
+    return parseStructuredExperience(experienceText, new Set(options.listItems.map(stripListMarker)));
+  }
+  
   const jobs = [];
   const lines = experienceText.split('\n').filter(l => l.trim());
   
@@ -122,6 +195,42 @@ function parseExperienceSection(experienceText) {
   return jobs;
 }
 
+/**
+ * Helper: Experience parsing when list items are known from the document markup
+ */
+function parseStructuredExperience(experienceText, listItems) {
+  const jobs = [];
+  let currentJob = null;
+  
+  experienceText.split('\n').map(l => l.trim()).filter(Boolean).forEach(line => {
+    const bullet = stripListMarker(line);
+    
+    if (listItems.has(bullet)) {
+      if (!currentJob) {
+        currentJob = { title: '', bullets: [] };
+      }
+      currentJob.bullets.push(bullet);
+    } else if (currentJob && currentJob.bullets.length === 0 && currentJob.title) {
+      // Header continues (company, location, dates on their own lines)
+      currentJob.title += ` | ${line}`;
+    } else {
+      if (currentJob) jobs.push(currentJob);
+      currentJob = { title: line, bullets: [] };
+    }
+  });
+  
+  if (currentJob) jobs.push(currentJob);
+  
+  return jobs.filter(job => job.title || job.bullets.length > 0);
+}
+
+/**
+ * Helper: List item text without the "- " marker the converters add
+ */
+function stripListMarker(line) {
+  return line.replace(/^[•\-\*\+]\s*/, '').trim();
+}
+
 /**
  * Check if line is a job title/company line
  */
@@ -233,6 +342,7 @@ function analyzeSectionOrder(sections) {
 module.exports = {
   detectSections,
   detectSectionHeader,
+  assignHeadingLevels,
   parseExperienceSection,
   parseSkillsSection,
   hasQuantifiableMetrics,
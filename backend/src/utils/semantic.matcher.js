@@ -0,0 +1,133 @@
+// Local semantic similarity
+// Relates broad concepts to the specific skills that practise them through a
+// bundled, curated related-terms list, so "orchestrating containers" relates to
+// "Kubernetes" although they share no letters. The list is read from disk once;
+// nothing is fetched over the network.
+const fs = require('fs');
+const path = require('path');
+const { PorterStemmer } = require('natural');
+const { resolveSkill, correctSkillTypo, isSubskillOf } = require('./skill.taxonomy');
+const { tokenizeSkill, namedSkills } = require('./skill.matcher');
+
+const DEFAULT_RELATED_TERMS_PATH = path.join(__dirname, '..', 'data', 'related-terms.json');
+
+// Words that carry no meaning of their own in a skill phrase
+const FILLER_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'by', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with',
+  'experience', 'experienced', 'knowledge', 'skills', 'skill', 'strong', 'proficiency', 'familiarity', 'using', 'working'
+]);
+
+let cachedRelatedTerms = null;
+
+/**
+ * Load a related-terms file from RELATED_TERMS_PATH or the bundled one
+ * The file is { concepts: [{ concept, related: { term: similarity } }] }.
+ * Returns { concepts: Map<key, Map<key, similarity>> }, keyed by taxonomy name
+ * when the term is a known skill and by its word stems as well.
+ */
+function loadRelatedTerms(filePath = process.env.RELATED_TERMS_PATH || DEFAULT_RELATED_TERMS_PATH) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!raw || !Array.isArray(raw.concepts)) {
+    throw new Error(`Related-terms file ${filePath} must contain a "concepts" list`);
+  }
+
+  const concepts = new Map();
+  raw.concepts.forEach(({ concept, related }) => {
+    if (typeof concept !== 'string' || !related || typeof related !== 'object') {
+      throw new Error(`Related-terms file ${filePath} has an entry without a "concept" name and "related" object`);
+    }
+    const relatedKeys = new Map();
+    Object.entries(related).forEach(([term, similarity]) => {
+      const value = Number(similarity);
+      if (!(value > 0 && value <= 1)) {
+        throw new Error(`Similarity of "${term}" to "${concept}" in ${filePath} must be between 0 and 1`);
+      }
+      termKeys(term).forEach(key => relatedKeys.set(key, value));
+    });
+    termKeys(concept).forEach(key => concepts.set(key, relatedKeys));
+  });
+
+  return { concepts };
+}
+
+/**
+ * The related-terms list is loaded once per process
+ */
+function getRelatedTerms() {
+  if (!cachedRelatedTerms) {
+    cachedRelatedTerms = loadRelatedTerms();
+  }
+  return cachedRelatedTerms;
+}
+
+/**
+ * Similarity (0-1) of two terms, or null when the list does not relate them
+ * Only a concept and one of its listed terms are related; two terms listed
+ * under the same concept are not.
+ */
+function semanticSimilarity(termA, termB) {
+  const a = termKeys(termA);
+  const b = termKeys(termB);
+  if (a.some(key => b.includes(key))) return 1;
+
+  const { concepts } = getRelatedTerms();
+  const lookup = (from, to) => from
+    .map(key => concepts.get(key))
+    .flatMap(related => (related ? to.map(key => related.get(key)) : []))
+    .find(value => value !== undefined);
+  return lookup(a, b) ?? lookup(b, a) ?? null;
+}
+
+/**
+ * Most similar term by meaning
+ * Returns { match, similarity } (match is null when nothing is related). Two
+ * terms that name different taxonomy skills are never a semantic match ("go"
+ * for Java, ".net" for APIs) unless the taxonomy nests one in the other
+ * (Kubernetes in the "containers" of "orchestrating containers").
+ */
+function findBestSemanticMatch(targetTerm, termsList) {
+  let best = { match: null, similarity: 0 };
+  const targetSkills = namedSkills(targetTerm);
+
+  (termsList || []).forEach(term => {
+    if (namesDifferentSkills(targetSkills, namedSkills(term))) return;
+    const similarity = semanticSimilarity(targetTerm, term);
+    if (similarity !== null && similarity > best.similarity) {
+      best = { match: term, similarity };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Helper: Lookup keys of a term: its taxonomy name when it is a known skill
+ * ("k8s" is "kubernetes") and its sorted word stems, so "orchestrating
+ * containers" and "container orchestration" share a key
+ */
+function termKeys(term) {
+  const words = tokenizeSkill(term).filter(word => !FILLER_WORDS.has(word));
+  if (words.length === 0) return [];
+
+  const phrase = words.join(' ');
+  const canonical = resolveSkill(phrase) || correctSkillTypo(phrase);
+  const stems = words.map(word => (/^[a-z]+$/.test(word) ? PorterStemmer.stem(word) : word));
+  const signature = [...new Set(stems)].sort().join(' ');
+  return canonical && canonical !== signature ? [canonical, signature] : [signature];
+}
+
+/**
+ * Helper: Whether both sides name known skills and none of them is the same
+ * as, or nested in, one on the other side
+ */
+function namesDifferentSkills(skillsA, skillsB) {
+  if (skillsA.size === 0 || skillsB.size === 0) return false;
+  return ![...skillsA].some(a => [...skillsB].some(b => a === b || isSubskillOf(a, b) || isSubskillOf(b, a)));
+}
+
+module.exports = {
+  loadRelatedTerms,
+  getRelatedTerms,
+  semanticSimilarity,
+  findBestSemanticMatch
+};
@@ -0,0 +1,222 @@
+// Token-aware skill matching
+// Terms are compared token by token rather than as raw strings, so "java" does
+// not match "javascript" and "react" does not match "reactive". Names with
+// punctuation (C++, C#, .NET, Node.js, CI/CD) are single tokens that only match
+// exactly, the taxonomy decides equivalence, words match through their lemma or
+// stem ("managed" / "management"), and edit-distance tolerance only covers
+// genuine typos of longer alphabetic words.
+const { resolveSkill, correctSkillTypo } = require('./skill.taxonomy');
+const { getWordRoots } = require('./nlp.utils');
+
+// Shortest word a typo is tolerated in; shorter words differ by design (go/git, rust/just)
+const MIN_TYPO_LENGTH = 5;
+
+// Skill names shorter than this are one edit from ordinary words (scala/scale,
+// swift/shift), so only the taxonomy's listed typos count for them
+const MIN_FUZZY_SKILL_LENGTH = 8;
+
+// Credit for two forms of the same word ("microservice" / "microservices"),
+// a little below the same wording
+const INFLECTION_SCORE = 0.9;
+
+// Longest run of words looked up as one skill name
+const MAX_SKILL_WORDS = 4;
+
+// Tokens: words, with "+", "#", "." and "/" kept inside tech names (c++, c#, .net, node.js, ci/cd)
+const TOKEN_PATTERN = /\.?[a-z0-9](?:[a-z0-9+#]|[./](?=[a-z0-9]))*/g;
+
+/**
+ * Split a skill term into lowercase tokens
+ */
+function tokenizeSkill(term) {
+  return String(term || '').toLowerCase().match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Compare two skill terms
+ * Returns { score (0-1), typo, exact }: 1 for taxonomy equivalents (exact), the
+ * token overlap (Dice over tokens) otherwise; typo is true when a misspelling
+ * was forgiven.
+ * typoTolerance: minimum similarity (1 - edits / length) of a misspelled token.
+ */
+function compareSkills(termA, termB, typoTolerance) {
+  const a = toCanonical(termA);
+  const b = toCanonical(termB);
+
+  if (a.name === b.name) return { score: 1, typo: a.typo || b.typo, exact: true };
+
+  // Two different skills the taxonomy knows are different skills; broader/narrower
+  // relations are credited through the taxonomy hierarchy instead
+  if (a.known && b.known) return { score: 0, typo: false, exact: false };
+
+  // Phrases naming different skills are different skills too, whatever words
+  // they share ("java developer" / "javascript developer")
+  if (namesDifferentSkills(namedSkills(a.term), namedSkills(b.term))) {
+    return { score: 0, typo: false, exact: false };
+  }
+
+  // A known skill is compared by its canonical name and by the words used
+  // ("continous integration" is a typo of the alias, not of "ci/cd"); hyphenated
+  // words also count as one word ("micro-services" / "microservices")
+  let best = { score: 0, typo: false, exact: false };
+  termForms(a).forEach(formA => {
+    termForms(b).forEach(formB => {
+      const result = compareTokenLists(tokenizeSkill(formA), tokenizeSkill(formB), typoTolerance);
+      if (result.score > best.score) best = { score: result.score, typo: result.typo || a.typo || b.typo, exact: false };
+    });
+  });
+  return best;
+}
+
+/**
+ * Taxonomy skills a term names, longest run of words first ("react native
+ * developer" names React Native, not React), including short lowercase names
+ * such as "go" that findSkillsInText leaves out of prose
+ */
+function namedSkills(term) {
+  const tokens = tokenizeSkill(term);
+  const names = new Set();
+  for (let i = 0; i < tokens.length; i++) {
+    for (let size = Math.min(MAX_SKILL_WORDS, tokens.length - i); size >= 1; size--) {
+      const phrase = tokens.slice(i, i + size).join(' ');
+      const name = resolveSkill(phrase) || correctSkillTypo(phrase);
+      if (name) {
+        names.add(name);
+        i += size - 1;
+        break;
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Helper: Whether each side names a skill the other side does not, so pairing
+ * their remaining words would match two different skills
+ */
+function namesDifferentSkills(skillsA, skillsB) {
+  const unmatched = (from, to) => [...from].some(name => !to.has(name));
+  return unmatched(skillsA, skillsB) && unmatched(skillsB, skillsA);
+}
+
+/**
+ * Helper: Dice overlap of two token lists, pairing each token with the best
+ * unused token of the other list, so word order does not matter
+ * ("microservice management" / "managed microservices")
+ */
+function compareTokenLists(tokensA, tokensB, typoTolerance) {
+  if (tokensA.length === 0 || tokensB.length === 0) return { score: 0, typo: false };
+
+  const used = new Set();
+  let total = 0;
+  let typo = false;
+  tokensA.forEach(token => {
+    let best = { score: 0, typo: false, index: -1 };
+    tokensB.forEach((other, index) => {
+      if (used.has(index)) return;
+      const result = compareTokens(token, other, typoTolerance);
+      if (result.score > best.score) best = { ...result, index };
+    });
+    if (best.index >= 0) {
+      used.add(best.index);
+      total += best.score;
+      typo = typo || best.typo;
+    }
+  });
+
+  return { score: (2 * total) / (tokensA.length + tokensB.length), typo };
+}
+
+/**
+ * Best matching term for a skill
+ * Returns { match, score, corrected }: match is null when nothing overlaps,
+ * corrected is true when the match relied on a typo correction. On equal
+ * scores the same skill beats a term that merely shares its words.
+ */
+function findBestSkillMatch(targetSkill, skillsList, typoTolerance) {
+  let best = { match: null, score: 0, corrected: false, exact: false };
+
+  (skillsList || []).forEach(skill => {
+    const { score, typo, exact } = compareSkills(targetSkill, skill, typoTolerance);
+    if (score > best.score || (score > 0 && score === best.score && exact && !best.exact)) {
+      best = { match: skill, score, corrected: typo, exact };
+    }
+  });
+
+  const { match, score, corrected } = best;
+  return { match, score, corrected };
+}
+
+/**
+ * Helper: Canonical taxonomy name (through aliases and known typos), else the lowercased term
+ */
+function toCanonical(term) {
+  const lower = String(term || '').toLowerCase().trim().replace(/\s+/g, ' ');
+  const resolved = resolveSkill(lower);
+  if (resolved) return { name: resolved, term: lower, known: true, typo: false };
+
+  const corrected = correctSkillTypo(lower);
+  if (corrected) return { name: corrected, term: lower, known: true, typo: true };
+
+  return { name: lower, term: lower, known: false, typo: false };
+}
+
+/**
+ * Helper: Forms of a canonicalized term to compare
+ */
+function termForms({ name, term }) {
+  return [...new Set([name, term, term.replace(/(\w)-(?=\w)/g, '$1')])];
+}
+
+/**
+ * Helper: { score, typo } of two tokens: 1 when equal, INFLECTION_SCORE for
+ * forms of the same word, the similarity of a plausible typo, else 0
+ * Only alphabetic words of MIN_TYPO_LENGTH or more with the same first letter
+ * can be typos: one edit, or two in words of eight letters or more. Neither
+ * word may be a skill name shorter than MIN_FUZZY_SKILL_LENGTH.
+ */
+function compareTokens(a, b, typoTolerance) {
+  const noMatch = { score: 0, typo: false };
+  if (a === b) return { score: 1, typo: false };
+  if (!/^[a-z]+$/.test(a) || !/^[a-z]+$/.test(b)) return noMatch;
+
+  const rootsB = getWordRoots(b);
+  if ([...getWordRoots(a)].some(root => rootsB.has(root))) return { score: INFLECTION_SCORE, typo: false };
+  if (Math.min(a.length, b.length) < MIN_TYPO_LENGTH || a[0] !== b[0]) return noMatch;
+  if ([a, b].some(word => word.length < MIN_FUZZY_SKILL_LENGTH && resolveSkill(word))) return noMatch;
+
+  const maxLength = Math.max(a.length, b.length);
+  const allowedEdits = maxLength >= 8 ? 2 : 1;
+  if (Math.abs(a.length - b.length) > allowedEdits) return noMatch;
+
+  const edits = typoDistance(a, b);
+  const similarity = 1 - edits / maxLength;
+  return edits <= allowedEdits && similarity >= typoTolerance ? { score: similarity, typo: true } : noMatch;
+}
+
+/**
+ * Helper: Edit distance counting an adjacent swap ("pyhton") as one edit
+ */
+function typoDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+module.exports = {
+  tokenizeSkill,
+  namedSkills,
+  compareSkills,
+  findBestSkillMatch
+};
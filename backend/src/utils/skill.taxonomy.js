@@ -0,0 +1,324 @@
+// Skill taxonomy: canonical names, aliases, typos, categories and parent/child relations
+// A parent is a broader skill the child satisfies; "credit" (0-1, default 1) says how fully.
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_TAXONOMY_DIR = path.join(__dirname, '..', 'data', 'skills');
+const SUPPORTED_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Longest skill name or alias, in words, looked up when scanning text
+const MAX_SKILL_WORDS = 4;
+
+let cachedTaxonomy = null;
+
+/**
+ * Normalize a lookup key: lowercase, trimmed, single spaces
+ */
+function toKey(term) {
+  return String(term || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Taxonomy directories: the bundled one plus any listed in SKILL_TAXONOMY_DIRS
+ */
+function getTaxonomyDirs() {
+  const extra = (process.env.SKILL_TAXONOMY_DIRS || '')
+    .split(path.delimiter)
+    .map(dir => dir.trim())
+    .filter(Boolean);
+  return [DEFAULT_TAXONOMY_DIR, ...extra];
+}
+
+/**
+ * Read one taxonomy file ({ category, skills: [...] }) as JSON or YAML
+ */
+function readTaxonomyFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const data = path.extname(filePath) === '.json' ? JSON.parse(content) : yaml.load(content);
+
+  if (!data || !Array.isArray(data.skills)) {
+    throw new Error(`Skill taxonomy file ${filePath} must contain a "skills" list`);
+  }
+
+  return data.skills.map(skill => ({
+    ...skill,
+    category: skill.category || data.category || 'other',
+    source: filePath
+  }));
+}
+
+/**
+ * Load every taxonomy file from the given directories and build lookup indexes.
+ * Entries with the same name in several files are merged, so extra
+ * directories can add aliases or parents to bundled skills.
+ */
+function loadTaxonomy(dirs = getTaxonomyDirs()) {
+  const entries = [];
+  dirs.forEach(dir => {
+    fs.readdirSync(dir)
+      .filter(file => SUPPORTED_EXTENSIONS.includes(path.extname(file)))
+      .sort()
+      .forEach(file => entries.push(...readTaxonomyFile(path.join(dir, file))));
+  });
+
+  return buildTaxonomy(entries);
+}
+
+/**
+ * Parents are written as a name or as { name, credit }
+ */
+function toParentLink(parent, source) {
+  const link = typeof parent === 'string'
+    ? { name: toKey(parent), credit: 1 }
+    : { name: toKey(parent.name), credit: parent.credit === undefined ? 1 : parent.credit };
+
+  if (typeof link.credit !== 'number' || link.credit <= 0 || link.credit > 1) {
+    throw new Error(`Parent "${link.name}" in ${source} must have a credit between 0 and 1`);
+  }
+  return link;
+}
+
+/**
+ * Build indexes from raw entries, failing on contradictory definitions
+ */
+function buildTaxonomy(entries) {
+  const skills = new Map();
+
+  entries.forEach(entry => {
+    const name = toKey(entry.name);
+    if (!name) {
+      throw new Error(`Skill without a name in ${entry.source}`);
+    }
+
+    const existing = skills.get(name) || { name, aliases: [], typos: [], parents: [], parentLinks: [] };
+    const parentLinks = (entry.parents || []).map(parent => toParentLink(parent, entry.source));
+    skills.set(name, {
+      name,
+      category: entry.category || existing.category,
+      aliases: [...existing.aliases, ...(entry.aliases || []).map(toKey)],
+      typos: [...existing.typos, ...(entry.typos || []).map(toKey)],
+      parents: [...existing.parents, ...parentLinks.map(link => link.name)],
+      parentLinks: [...existing.parentLinks, ...parentLinks]
+    });
+  });
+
+  const aliasIndex = new Map();
+  const typoIndex = new Map();
+  const children = new Map();
+  const errors = [];
+
+  // Canonical names resolve to themselves and may not be claimed by another skill
+  skills.forEach((skill, name) => aliasIndex.set(name, name));
+
+  skills.forEach((skill, name) => {
+    skill.aliases.forEach(alias => {
+      const owner = aliasIndex.get(alias);
+      if (owner && owner !== name) {
+        errors.push(`"${alias}" is used by both "${owner}" and "${name}"`);
+      } else {
+        aliasIndex.set(alias, name);
+      }
+    });
+  });
+
+  skills.forEach((skill, name) => {
+    skill.typos.forEach(typo => {
+      if (aliasIndex.has(typo)) {
+        errors.push(`typo "${typo}" of "${name}" is already a name or alias of "${aliasIndex.get(typo)}"`);
+      } else if (typoIndex.has(typo) && typoIndex.get(typo) !== name) {
+        errors.push(`typo "${typo}" is used by both "${typoIndex.get(typo)}" and "${name}"`);
+      } else {
+        typoIndex.set(typo, name);
+      }
+    });
+
+    skill.parents.forEach(parent => {
+      if (!skills.has(parent)) {
+        errors.push(`"${name}" has unknown parent "${parent}"`);
+        return;
+      }
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(name);
+    });
+  });
+
+  const taxonomy = { skills, aliasIndex, typoIndex, children };
+
+  skills.forEach((skill, name) => {
+    if (collectAncestors(taxonomy, name).includes(name)) {
+      errors.push(`"${name}" is its own ancestor`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid skill taxonomy: ${errors.join('; ')}`);
+  }
+
+  return taxonomy;
+}
+
+/**
+ * The taxonomy is loaded once per process
+ */
+function getTaxonomy() {
+  if (!cachedTaxonomy) {
+    cachedTaxonomy = loadTaxonomy();
+  }
+  return cachedTaxonomy;
+}
+
+/**
+ * Canonical name for a skill name or alias, or null when unknown
+ */
+function resolveSkill(term) {
+  return getTaxonomy().aliasIndex.get(toKey(term)) || null;
+}
+
+/**
+ * Canonical name for a known misspelling, or null
+ */
+function correctSkillTypo(term) {
+  return getTaxonomy().typoIndex.get(toKey(term)) || null;
+}
+
+/**
+ * All known misspellings as [typo, canonical] pairs
+ */
+function listSkillTypos() {
+  return Array.from(getTaxonomy().typoIndex.entries());
+}
+
+/**
+ * Full taxonomy entry for a skill name or alias
+ */
+function getSkill(term) {
+  const name = resolveSkill(term);
+  return name ? getTaxonomy().skills.get(name) : null;
+}
+
+/**
+ * Category of a skill (language, framework, cloud, soft skill, ...)
+ */
+function getSkillCategory(term) {
+  const skill = getSkill(term);
+  return skill ? skill.category : null;
+}
+
+/**
+ * Broader skills this one satisfies, nearest first (PostgreSQL -> SQL)
+ */
+function getAncestors(term) {
+  const name = resolveSkill(term);
+  return name ? collectAncestors(getTaxonomy(), name) : [];
+}
+
+/**
+ * More specific skills that satisfy this one (SQL -> PostgreSQL, MySQL, ...)
+ */
+function getDescendants(term) {
+  const name = resolveSkill(term);
+  if (!name) return [];
+
+  const { children } = getTaxonomy();
+  const result = [];
+  const queue = [...(children.get(name) || [])];
+  while (queue.length > 0) {
+    const child = queue.shift();
+    if (result.includes(child)) continue;
+    result.push(child);
+    queue.push(...(children.get(child) || []));
+  }
+  return result;
+}
+
+/**
+ * Credit a skill gives to each broader skill, as a Map of ancestor -> 0-1.
+ * Credit multiplies along the path and the best path wins, so
+ * deep learning -> machine learning (1.0) -> artificial intelligence (0.8) gives AI 0.8.
+ */
+function getAncestorCredits(term) {
+  const name = resolveSkill(term);
+  const credits = new Map();
+  if (!name) return credits;
+
+  const { skills } = getTaxonomy();
+  const queue = [{ name, credit: 1 }];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    (skills.get(current.name)?.parentLinks || []).forEach(link => {
+      const credit = current.credit * link.credit;
+      if (credit > (credits.get(link.name) || 0)) {
+        credits.set(link.name, credit);
+        queue.push({ name: link.name, credit });
+      }
+    });
+  }
+  return credits;
+}
+
+/**
+ * Check whether a specific skill satisfies a broader one
+ */
+function isSubskillOf(childTerm, parentTerm) {
+  const parent = resolveSkill(parentTerm);
+  return !!parent && getAncestors(childTerm).includes(parent);
+}
+
+/**
+ * Canonical names of the known skills mentioned in free text, in order of first
+ * mention. Longer names win ("google cloud" over "google"). Names of one or two
+ * letters (c, go, r, ml) only count when not written in lowercase, so prose like
+ * "go live" is not read as Go.
+ */
+function findSkillsInText(text) {
+  const { aliasIndex } = getTaxonomy();
+  const words = String(text || '')
+    .split(/[\s,;:()[\]{}|•"]+/)
+    .map(word => word.replace(/[.!?']+$/, ''))
+    .filter(Boolean);
+
+  const found = [];
+  for (let i = 0; i < words.length; i++) {
+    for (let size = Math.min(MAX_SKILL_WORDS, words.length - i); size >= 1; size--) {
+      const phrase = words.slice(i, i + size).join(' ');
+      const name = aliasIndex.get(toKey(phrase));
+      if (name && !(phrase.length <= 2 && phrase === phrase.toLowerCase())) {
+        if (!found.includes(name)) found.push(name);
+        i += size - 1;
+        break;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Helper: Breadth-first walk up the parent relation
+ */
+function collectAncestors(taxonomy, name) {
+  const result = [];
+  const queue = [...(taxonomy.skills.get(name)?.parents || [])];
+  while (queue.length > 0) {
+    const parent = queue.shift();
+    if (result.includes(parent)) continue;
+    result.push(parent);
+    queue.push(...(taxonomy.skills.get(parent)?.parents || []));
+  }
+  return result;
+}
+
+module.exports = {
+  loadTaxonomy,
+  getTaxonomy,
+  resolveSkill,
+  correctSkillTypo,
+  listSkillTypos,
+  getSkill,
+  getSkillCategory,
+  getAncestors,
+  getDescendants,
+  getAncestorCredits,
+  isSubskillOf,
+  findSkillsInText
+};
@@ -1,5 +1,5 @@
 // Spell-checking utilities for typo-tolerant skill matching
-const stringSimilarity = require('string-similarity');
+const { resolveSkill, correctSkillTypo, listSkillTypos } = require('./skill.taxonomy');
 
 /**
  * Simple Levenshtein distance calculator for spell checking
@@ -48,110 +48,27 @@ function areSkillsSimilar(skill1, skill2, threshold = 2) {
 }
 
 /**
- * Common typo corrections for technical terms
- */
-const commonTechTypos = {
-  'pyhton': 'python',
-  'pytohn': 'python',
-  'javasript': 'javascript',
-  'javascirpt': 'javascript',
-  'javascrpit': 'javascript',
-  'typescipt': 'typescript',
-  'typescirpt': 'typescript',
-  'kuberntes': 'kubernetes',
-  'kuberentes': 'kubernetes',
-  'postgre': 'postgresql',
-  'postgress': 'postgresql',
-  'mongod': 'mongodb',
-  'mongobd': 'mongodb',
-  'reactjs': 'react',
-  'react.js': 'react',
-  'nodejs': 'node.js',
-  'node.js': 'node',
-  'angularjs': 'angular',
-  'vuejs': 'vue',
-  'vue.js': 'vue',
-  'expresjs': 'express',
-  'expres': 'express',
-  'redis': 'redis',
-  'rediss': 'redis',
-  'docker': 'docker',
-  'dokcer': 'docker',
-  'git': 'git',
-  'github': 'github',
-  'gitlab': 'gitlab',
-  'jira': 'jira',
-  'aws': 'aws',
-  'gcp': 'gcp',
-  'azure': 'azure',
-  'asure': 'azure'
-};
-
-/**
- * Autocorrect a skill name if it's a common typo
+ * Autocorrect a skill name using the taxonomy's known typos and aliases
  */
 function autocorrectSkill(skill) {
   const lower = skill.toLowerCase().trim();
   
-  // Check exact typo match
-  if (commonTechTypos[lower]) {
-    return commonTechTypos[lower];
+  // Check exact typo or alias match
+  const known = correctSkillTypo(lower) || resolveSkill(lower);
+  if (known) {
+    return known;
   }
   
   // Check fuzzy match against known typos
-  const typoKeys = Object.keys(commonTechTypos);
-  for (const typo of typoKeys) {
+  for (const [typo, canonical] of listSkillTypos()) {
     if (areSkillsSimilar(lower, typo, 1)) {
-      return commonTechTypos[typo];
+      return canonical;
     }
   }
   
   return skill;
 }
 
-/**
- * Find best match with typo tolerance
- */
-function findBestMatchWithTypoTolerance(targetSkill, skillsList, threshold = 0.80) {
-  if (!skillsList || skillsList.length === 0) {
-    return { match: null, score: 0, corrected: false };
-  }
-  
-  // First try autocorrect
-  const corrected = autocorrectSkill(targetSkill);
-  const skillToMatch = corrected.toLowerCase();
-  
-  const matches = skillsList.map(skill => {
-    const s = skill.toLowerCase();
-    
-    // Exact match
-    if (skillToMatch === s) return { skill, score: 1.0 };
-    
-    // String similarity (Dice coefficient)
-    const similarity = stringSimilarity.compareTwoStrings(skillToMatch, s);
-    
-    // Levenshtein-based similarity
-    const distance = levenshteinDistance(skillToMatch, s);
-    const maxLen = Math.max(skillToMatch.length, s.length);
-    const levenSimilarity = 1 - (distance / maxLen);
-    
-    // Use the better of the two scores
-    const finalScore = Math.max(similarity, levenSimilarity);
-    
-    return { skill, score: finalScore };
-  });
-  
-  const best = matches.reduce((prev, current) => 
-    current.score > prev.score ? current : prev
-  );
-  
-  return {
-    match: best.score >= threshold ? best.skill : null,
-    score: best.score,
-    corrected: corrected !== targetSkill
-  };
-}
-
 /**
  * Expand skill variations (handles plurals, verb forms, etc.)
  */
@@ -192,7 +109,5 @@ module.exports = {
   levenshteinDistance,
   areSkillsSimilar,
   autocorrectSkill,
-  findBestMatchWithTypoTolerance,
-  getSkillVariations,
-  commonTechTypos
+  getSkillVariations
 };
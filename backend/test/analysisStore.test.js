@@ -0,0 +1,90 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  saveAnalysis,
+  getAnalysisById,
+  listAnalyses,
+  deleteAnalysis,
+  hashResumeText,
+  selectAnalysisStore,
+  isUsingDatabase,
+  clearMemoryStore
+} = require('../src/services/analysisStore.service');
+
+// The in-process store, as used when MONGODB_URI is not set
+function buildResult(atsScore) {
+  return {
+    atsScore,
+    requirementCoverage: atsScore - 5,
+    strongMatches: [{ skill: 'python' }],
+    partialMatches: [],
+    missingSkills: [{ skill: 'kubernetes' }],
+    sectionFeedback: [],
+    insights: [],
+    checklist: [],
+    relevance: { score: 40 }
+  };
+}
+
+function save(atsScore, resumeText = `Resume ${atsScore}`) {
+  return saveAnalysis({ resumeText, jobDescription: `Job for ${atsScore}`, result: buildResult(atsScore) });
+}
+
+beforeEach(() => {
+  selectAnalysisStore('memory', { memoryLimit: 1000 });
+  clearMemoryStore();
+});
+
+test('saves an analysis and fetches it by id', async () => {
+  const saved = await save(82, 'Jane Doe resume');
+  assert.strictEqual(isUsingDatabase(), false);
+  assert.strictEqual(saved.resumeHash, hashResumeText('Jane Doe resume'));
+
+  const fetched = await getAnalysisById(saved.id);
+  assert.strictEqual(fetched.id, saved.id);
+  assert.strictEqual(fetched.jobDescription, 'Job for 82');
+  assert.strictEqual(fetched.analysis.atsScore, 82);
+  assert.deepStrictEqual(fetched.analysis.relevance, { score: 40 });
+});
+
+test('lists analyses newest first with score filters and pages', async () => {
+  await save(40);
+  await save(70);
+  await save(90);
+
+  const all = await listAnalyses();
+  assert.deepStrictEqual(all.items.map(item => item.atsScore), [90, 70, 40]);
+  assert.strictEqual(all.items[0].requirementCoverage, 85);
+  assert.strictEqual(all.items[0].missingSkillCount, 1);
+
+  const filtered = await listAnalyses({ minScore: 50, maxScore: 80 });
+  assert.deepStrictEqual(filtered.items.map(item => item.atsScore), [70]);
+
+  const secondPage = await listAnalyses({ page: 2, limit: 2 });
+  assert.deepStrictEqual(secondPage.items.map(item => item.atsScore), [40]);
+  assert.deepStrictEqual(secondPage.pagination, { page: 2, limit: 2, total: 3, totalPages: 2 });
+});
+
+test('deletes an analysis once', async () => {
+  const saved = await save(60);
+
+  assert.strictEqual(await deleteAnalysis(saved.id), true);
+  assert.strictEqual(await getAnalysisById(saved.id), null);
+  assert.strictEqual(await deleteAnalysis(saved.id), false);
+});
+
+test('evicts the oldest analyses past the memory limit', async () => {
+  selectAnalysisStore('memory', { memoryLimit: 2 });
+  const oldest = await save(10);
+  const middle = await save(20);
+  const newest = await save(30);
+
+  assert.strictEqual(await getAnalysisById(oldest.id), null);
+  assert.ok(await getAnalysisById(middle.id));
+  assert.ok(await getAnalysisById(newest.id));
+  assert.strictEqual((await listAnalyses()).pagination.total, 2);
+});
+
+test('rejects an unknown store', () => {
+  assert.throws(() => selectAnalysisStore('redis'), /Unknown analysis store/);
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { extractYearsOfExperience } = require('../src/utils/experience.extractor');
+
+test('reads a range as its lower bound, however it is phrased', () => {
+  assert.strictEqual(extractYearsOfExperience('Experience: 3-5 years'), 3);
+  assert.strictEqual(extractYearsOfExperience('3-5 years building APIs'), 3);
+  assert.strictEqual(extractYearsOfExperience('2 to 4 yrs of Go'), 2);
+  assert.strictEqual(extractYearsOfExperience('3–5 years of professional experience'), 3);
+});
+
+test('reads single numbers with or without a following phrase', () => {
+  assert.strictEqual(extractYearsOfExperience('5+ years with React'), 5);
+  assert.strictEqual(extractYearsOfExperience('Requires 5+ yrs'), 5);
+  assert.strictEqual(extractYearsOfExperience('Minimum of 4 years designing data pipelines'), 4);
+  assert.strictEqual(extractYearsOfExperience('Years of experience: 7'), 7);
+});
+
+test('takes the highest requirement in a text', () => {
+  assert.strictEqual(extractYearsOfExperience('3-5 years of Python and 6+ years in backend roles'), 6);
+});
+
+test('ignores dates and periods that are not experience', () => {
+  assert.strictEqual(extractYearsOfExperience('Founded 20 years ago'), 0);
+  assert.strictEqual(extractYearsOfExperience('We grew 3x in the last 5 years'), 0);
+  assert.strictEqual(extractYearsOfExperience('25 years in business'), 0);
+  assert.strictEqual(extractYearsOfExperience('Offered as a 2-year contract'), 0);
+  assert.strictEqual(extractYearsOfExperience('Experience: 2018 - 2020'), 0);
+});
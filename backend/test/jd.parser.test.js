@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseJobDescription } = require('../src/utils/jd.parser');
+
+// Requirements of a JD with one "Requirements:" list
+function requirementsOf(lines) {
+  return parseJobDescription(['Requirements:', ...lines].join('\n')).requirements;
+}
+
+test('keeps short skill names as requirements', () => {
+  const texts = requirementsOf(['- Go', '- C#', '- R', '- -', '- •']).map(requirement => requirement.text);
+  assert.deepStrictEqual(texts, ['Go', 'C#', 'R']);
+});
+
+test('a years range asks for its lower bound', () => {
+  const years = requirementsOf([
+    '- 3-5 years of experience with Python',
+    '- 2 to 4 yrs building APIs',
+    '- Experience: 3-5 years',
+    '- 6+ years in backend roles',
+    '- Strong SQL skills'
+  ]).map(requirement => requirement.years);
+  assert.deepStrictEqual(years, [3, 2, 3, 6, null]);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { extractPdfLayout } = require('../src/utils/pdf.layout');
+
+// pdf2json page units: a US Letter page is 38.25 x 49.5, run widths are in points
+const LEFT_X = 2;
+const RIGHT_X = 22;
+const COLUMN_WIDTH = 12;
+
+// A pdf2json text item from [x, y, text, width in page units, font size, bold]
+function textItem([x, y, text, width = COLUMN_WIDTH, size = 10, bold = 0]) {
+  return { x, y, w: width * 16, R: [{ T: encodeURIComponent(text), TS: [0, size, bold, 0] }] };
+}
+
+function layoutOf(items) {
+  return extractPdfLayout({ Pages: [{ Width: 38.25, Height: 49.5, Texts: items.map(textItem) }] });
+}
+
+// Name and a contact bar across the page, then EXPERIENCE on the left and a
+// shorter SKILLS column on the right
+const COLUMN_ITEMS = [
+  [LEFT_X, 2, 'Jane Doe', 8, 20, 1],
+  [LEFT_X, 3.5, 'jane@example.com | +1 555 0100 | Berlin, Germany', 32],
+  [LEFT_X, 5, 'EXPERIENCE', COLUMN_WIDTH, 14, 1],
+  [RIGHT_X, 5, 'SKILLS', COLUMN_WIDTH, 14, 1],
+  [LEFT_X, 6.5, 'Backend Engineer, Acme'],
+  [RIGHT_X, 6.5, 'Node.js'],
+  [LEFT_X, 7.5, 'Built payment APIs'],
+  [RIGHT_X, 7.5, 'PostgreSQL'],
+  [LEFT_X, 8.5, 'Led the billing migration'],
+  [RIGHT_X, 8.5, 'Docker'],
+  [LEFT_X, 9.5, 'Mentored two engineers']
+];
+
+const COLUMN_LINES = [
+  'Jane Doe',
+  'jane@example.com | +1 555 0100 | Berlin, Germany',
+  'EXPERIENCE',
+  'Backend Engineer, Acme',
+  'Built payment APIs',
+  'Led the billing migration',
+  'Mentored two engineers',
+  'SKILLS',
+  'Node.js',
+  'PostgreSQL',
+  'Docker'
+];
+
+test('single-column content below the columns is read after both columns', () => {
+  const { text, columnsPerPage, headings } = layoutOf([
+    ...COLUMN_ITEMS,
+    [LEFT_X, 12, 'EDUCATION', COLUMN_WIDTH, 14, 1],
+    [LEFT_X, 13.5, 'BSc Computer Science, TU Berlin']
+  ]);
+
+  assert.deepStrictEqual(columnsPerPage, [2]);
+  assert.deepStrictEqual(text.split('\n'), [...COLUMN_LINES, 'EDUCATION', 'BSc Computer Science, TU Berlin']);
+  assert.ok(headings.some(heading => heading.text === 'EDUCATION' && heading.level === 1));
+});
+
+test('a left column running past the right one stays in its column', () => {
+  const { text } = layoutOf([
+    ...COLUMN_ITEMS,
+    [LEFT_X, 10.5, 'Cut deploy times in half'],
+    [LEFT_X, 11.5, 'Ran on-call for payments']
+  ]);
+
+  assert.deepStrictEqual(text.split('\n'), [
+    ...COLUMN_LINES.slice(0, 7),
+    'Cut deploy times in half',
+    'Ran on-call for payments',
+    ...COLUMN_LINES.slice(7)
+  ]);
+});
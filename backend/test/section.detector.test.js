@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectSections, assignHeadingLevels } = require('../src/utils/section.detector');
+const { htmlToText } = require('../src/utils/markup.converter');
+
+// Sections of an HTML document the way DOCX and HTML resumes are parsed
+function sectionsOf(html) {
+  const { text, headings } = htmlToText(html, { tableCellsAsLines: true });
+  return detectSections(text, { headings: assignHeadingLevels(headings) });
+}
+
+test('unknown top-level headings start sections before any known one', () => {
+  const sections = sectionsOf([
+    '<h1>Jane Doe</h1>',
+    '<p>jane@example.com | Berlin</p>',
+    '<h1>Professional Background</h1>',
+    '<p>Backend Engineer at Acme, 2019 - 2023</p>',
+    '<h1>Technical Toolkit</h1>',
+    '<p>Node.js, PostgreSQL, Docker</p>'
+  ].join(''));
+
+  assert.strictEqual(sections.header, 'Jane Doe\njane@example.com | Berlin');
+  assert.strictEqual(sections['professional background'], 'Backend Engineer at Acme, 2019 - 2023');
+  assert.strictEqual(sections['technical toolkit'], 'Node.js, PostgreSQL, Docker');
+});
+
+test('text before the first heading stays in the header', () => {
+  const sections = sectionsOf([
+    '<p>Jane Doe</p>',
+    '<p>jane@example.com</p>',
+    '<h1>Selected Impact</h1>',
+    '<p>Led the payments migration</p>',
+    '<h1>Skills</h1>',
+    '<p>Go, Kubernetes</p>'
+  ].join(''));
+
+  assert.strictEqual(sections.header, 'Jane Doe\njane@example.com');
+  assert.strictEqual(sections['selected impact'], 'Led the payments migration');
+  assert.strictEqual(sections.skills, 'Go, Kubernetes');
+});
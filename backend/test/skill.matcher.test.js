@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compareSkills } = require('../src/utils/skill.matcher');
+const { resolveScoringProfile } = require('../src/config/scoringProfiles');
+const confusablePairs = require('../src/data/confusable-pairs.json');
+
+// Every profile's thresholds, so a looser profile cannot reopen a confusion
+const PROFILES = ['default', 'strict', 'lenient'];
+
+PROFILES.forEach(profileName => {
+  const { partialMatch, typoTolerance } = resolveScoringProfile(profileName).thresholds;
+
+  test(`distinct pairs stay below a partial match (${profileName})`, () => {
+    confusablePairs.distinct.forEach(([a, b]) => {
+      [[a, b], [b, a]].forEach(([left, right]) => {
+        const { score } = compareSkills(left, right, typoTolerance);
+        assert.ok(score < partialMatch, `"${left}" / "${right}" scored ${score.toFixed(2)}`);
+      });
+    });
+  });
+
+  test(`equivalent pairs reach a partial match (${profileName})`, () => {
+    confusablePairs.equivalent.forEach(([a, b]) => {
+      [[a, b], [b, a]].forEach(([left, right]) => {
+        const { score } = compareSkills(left, right, typoTolerance);
+        assert.ok(score >= partialMatch, `"${left}" / "${right}" scored ${score.toFixed(2)}`);
+      });
+    });
+  });
+});
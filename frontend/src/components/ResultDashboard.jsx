@@ -1,13 +1,17 @@
 import { useState } from 'react';
 import './ResultDashboard.css';
 
-export default function ResultDashboard({ result }) {
+export default function ResultDashboard({ result, documents }) {
   const [activeTab, setActiveTab] = useState('overview');
 
   if (!result) return null;
 
   const { 
     atsScore, 
+    requirementCoverage,
+    coverage,
+    highlights,
+    scoreBreakdown,
     strongMatches = [], 
     partialMatches = [], 
     missingSkills = [],
@@ -43,6 +47,12 @@ export default function ResultDashboard({ result }) {
               <strong>{partialMatches.length}</strong> partial matches, 
               <strong>{missingSkills.length}</strong> missing skills
             </p>
+            {requirementCoverage != null && (
+              <p className="keyword-summary">
+                <strong>{requirementCoverage}%</strong> requirement coverage 
+                ({coverage.met} of {coverage.total} requirements met)
+              </p>
+            )}
           </div>
         </div>
       </div>
@@ -61,6 +71,22 @@ export default function ResultDashboard({ result }) {
         >
           Skill Matches
         </button>
+        {documents?.resume && highlights && (
+          <button 
+            className={`tab ${activeTab === 'viewer' ? 'active' : ''}`}
+            onClick={() => setActiveTab('viewer')}
+          >
+            Resume View
+          </button>
+        )}
+        {coverage?.total > 0 && (
+          <button 
+            className={`tab ${activeTab === 'requirements' ? 'active' : ''}`}
+            onClick={() => setActiveTab('requirements')}
+          >
+            Requirements
+          </button>
+        )}
         <button 
           className={`tab ${activeTab === 'insights' ? 'active' : ''}`}
           onClick={() => setActiveTab('insights')}
@@ -83,6 +109,7 @@ export default function ResultDashboard({ result }) {
             partialMatches={partialMatches}
             missingSkills={missingSkills}
             sectionFeedback={sectionFeedback}
+            scoreBreakdown={scoreBreakdown}
           />
         )}
 
@@ -94,6 +121,14 @@ export default function ResultDashboard({ result }) {
           />
         )}
 
+        {activeTab === 'viewer' && (
+          <ResumeViewerTab documents={documents} highlights={highlights} />
+        )}
+
+        {activeTab === 'requirements' && (
+          <RequirementsTab coverage={coverage} />
+        )}
+
         {activeTab === 'insights' && (
           <InsightsTab insights={insights} />
         )}
@@ -107,7 +142,7 @@ export default function ResultDashboard({ result }) {
 }
 
 // Overview Tab Component
-function OverviewTab({ strongMatches, partialMatches, missingSkills, sectionFeedback }) {
+function OverviewTab({ strongMatches, partialMatches, missingSkills, sectionFeedback, scoreBreakdown }) {
   return (
     <div className="overview-tab">
       {/* Quick Stats */}
@@ -153,6 +188,9 @@ function OverviewTab({ strongMatches, partialMatches, missingSkills, sectionFeed
         </div>
       </div>
 
+      {/* Score Breakdown */}
+      {scoreBreakdown && <ScoreBreakdown breakdown={scoreBreakdown} />}
+
       {/* Top Missing Skills Preview */}
       {missingSkills.length > 0 && (
         <div className="analysis-section">
@@ -173,6 +211,70 @@ function OverviewTab({ strongMatches, partialMatches, missingSkills, sectionFeed
   );
 }
 
+// Score Breakdown: how each component, adjustment and bonus adds up to the ATS score
+function ScoreBreakdown({ breakdown }) {
+  const { components = [], weightedScore, multiplier, floor, bonuses = [], cap, finalScore } = breakdown;
+
+  return (
+    <div className="analysis-section">
+      <h3>How Your Score Was Calculated</h3>
+      <table className="breakdown-table">
+        <thead>
+          <tr>
+            <th>Component</th>
+            <th>Value</th>
+            <th>Weight</th>
+            <th>Points</th>
+          </tr>
+        </thead>
+        <tbody>
+          {components.map((component) => (
+            <tr key={component.name}>
+              <td>{component.label}</td>
+              <td>{Math.round(component.raw * 100)}%</td>
+              <td>{Math.round(component.weight * 100)}%</td>
+              <td>{component.contribution.toFixed(1)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan={3}>Weighted score</td>
+            <td>{weightedScore.toFixed(1)}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      <ul className="breakdown-steps">
+        {multiplier && (
+          <li>
+            × {multiplier.value} multiplier → {multiplier.scoreAfter.toFixed(1)}
+            <span className="breakdown-reason">{multiplier.reason}</span>
+          </li>
+        )}
+        {floor?.applied && (
+          <li>
+            Raised to minimum of {floor.value}
+            <span className="breakdown-reason">{floor.reason}</span>
+          </li>
+        )}
+        {bonuses.map((bonus) => (
+          <li key={bonus.name}>
+            +{bonus.points} bonus
+            <span className="breakdown-reason">{bonus.reason}</span>
+          </li>
+        ))}
+        {cap?.applied && (
+          <li>
+            Capped at {cap.value} (was {cap.scoreBefore.toFixed(1)})
+          </li>
+        )}
+        <li className="breakdown-final">Final ATS score: {finalScore}</li>
+      </ul>
+    </div>
+  );
+}
+
 // Matches Tab Component
 function MatchesTab({ strongMatches, partialMatches, missingSkills }) {
   return (
@@ -194,9 +296,10 @@ function MatchesTab({ strongMatches, partialMatches, missingSkills }) {
                 </div>
                 {match.matchedAs && (
                   <div className="match-detail">
-                    Matched as: <em>{match.matchedAs}</em>
+                    {match.impliedBy ? 'Implied by' : 'Matched as'}: <em>{match.matchedAs}</em>
                   </div>
                 )}
+                <EvidenceList evidence={match.evidence} />
               </div>
             ))}
           </div>
@@ -215,15 +318,20 @@ function MatchesTab({ strongMatches, partialMatches, missingSkills }) {
                 <div className="match-header">
                   <span className="skill-name">{match.skill}</span>
                   <div className="match-badges">
-                    <span className="badge similarity">{match.similarity}% similar</span>
+                    {match.matchType === 'semantic' ? (
+                      <span className="badge semantic">{match.semanticSimilarity}% related in meaning</span>
+                    ) : (
+                      <span className="badge similarity">{match.similarity}% similar</span>
+                    )}
                     {match.importance === 'required' && <span className="badge required">Required</span>}
                   </div>
                 </div>
                 {match.matchedAs && (
                   <div className="match-detail">
-                    Matched as: <em>{match.matchedAs}</em>
+                    {match.impliedBy ? 'Implied by' : match.matchType === 'semantic' ? 'Related to' : 'Matched as'}: <em>{match.matchedAs}</em>
                   </div>
                 )}
+                <EvidenceList evidence={match.evidence} />
               </div>
             ))}
           </div>
@@ -253,6 +361,130 @@ function MatchesTab({ strongMatches, partialMatches, missingSkills }) {
   );
 }
 
+// Resume View Tab: extracted resume text with matches overlaid, next to the JD
+function ResumeViewerTab({ documents, highlights }) {
+  const renderResumeRange = (range, text) => {
+    if (range.type === 'heading') {
+      return <span className="highlight heading">{text}</span>;
+    }
+    return (
+      <mark className={`highlight ${range.type}`}>
+        {text}
+        <span className="hover-card">
+          <strong>{range.type === 'strong' ? 'Strong match' : 'Partial match'}</strong>
+          <span>Satisfies: {range.jdTerms.join(', ')}</span>
+          {range.importance === 'required' && <span>Required by the job description</span>}
+        </span>
+      </mark>
+    );
+  };
+
+  const renderJdRange = (range, text) => (
+    <mark className="highlight missing">
+      {text}
+      <span className="hover-card">
+        <strong>Missing from resume</strong>
+        <span>{range.importance === 'required' ? 'Required' : 'Preferred'} term: {range.term}</span>
+      </span>
+    </mark>
+  );
+
+  return (
+    <div className="viewer-tab">
+      <div className="viewer-legend">
+        <span className="highlight strong">Strong match</span>
+        <span className="highlight partial">Partial match</span>
+        <span className="highlight missing">Missing</span>
+        <span className="highlight heading">Section</span>
+      </div>
+      <div className="viewer-panels">
+        <div className="viewer-panel">
+          <h3>📄 Your Resume</h3>
+          <div className="viewer-text">
+            <HighlightedText text={documents.resume} ranges={highlights.resume} renderRange={renderResumeRange} />
+          </div>
+        </div>
+        {documents.jobDescription && (
+          <div className="viewer-panel">
+            <h3>📋 Job Description</h3>
+            <div className="viewer-text">
+              <HighlightedText
+                text={documents.jobDescription}
+                ranges={highlights.jobDescription}
+                renderRange={renderJdRange}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Text split into plain and highlighted segments; ranges are sorted and never overlap
+function HighlightedText({ text, ranges = [], renderRange }) {
+  const segments = [];
+  let position = 0;
+
+  ranges.forEach(range => {
+    if (range.start < position || range.end > text.length) return;
+    if (range.start > position) segments.push(text.slice(position, range.start));
+    segments.push(<span key={range.start}>{renderRange(range, text.slice(range.start, range.end))}</span>);
+    position = range.end;
+  });
+  segments.push(text.slice(position));
+
+  return <>{segments}</>;
+}
+
+// Requirements Tab: met / partially met / not met per JD requirement
+function RequirementsTab({ coverage }) {
+  const statusLabels = { met: '✅ Met', partial: '⚠️ Partially met', 'not-met': '❌ Not met' };
+
+  return (
+    <div className="requirements-tab">
+      <h3>📋 Requirement Coverage: {coverage.percentage}%</h3>
+      <p className="requirements-summary">
+        {coverage.met} met, {coverage.partial} partially met, {coverage.notMet} not met
+      </p>
+      <div className="requirements-list">
+        {coverage.requirements.map(requirement => (
+          <div key={requirement.id} className={`requirement-item ${requirement.status}`}>
+            <div className="match-header">
+              <span className="requirement-text">{requirement.text}</span>
+              <div className="match-badges">
+                <span className={`badge status ${requirement.status}`}>{statusLabels[requirement.status]}</span>
+                {requirement.importance === 'required' && <span className="badge required">Required</span>}
+              </div>
+            </div>
+            {requirement.evidence.length > 0 ? (
+              <EvidenceList evidence={requirement.evidence} />
+            ) : (
+              <div className="match-detail">No supporting evidence found in the resume</div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Resume lines a match or requirement was found in
+function EvidenceList({ evidence = [] }) {
+  if (evidence.length === 0) return null;
+
+  return (
+    <ul className="evidence-list">
+      {evidence.map(line => (
+        <li key={line.start}>
+          <span className="evidence-section">{line.job || line.section}</span>
+          {line.text}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
 // Insights Tab
 function InsightsTab({ insights }) {
   return (
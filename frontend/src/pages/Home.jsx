@@ -5,7 +5,9 @@ import ResultDashboard from "../components/ResultDashboard";
 export default function Home() {
   const [resume, setResume] = useState(null);
   const [jd, setJd] = useState("");
+  const [jdFile, setJdFile] = useState(null);
   const [result, setResult] = useState(null);
+  const [documents, setDocuments] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
   useEffect(() => {
@@ -25,7 +27,7 @@ export default function Home() {
   }, []);
 
   const handleSubmit = async () => {
-    if (!resume || !jd) {
+    if (!resume || (!jd && !jdFile)) {
       alert("Resume and Job Description are required");
       return;
     }
@@ -33,11 +35,17 @@ export default function Home() {
     setIsLoading(true);
     const formData = new FormData();
     formData.append("resume", resume);
-    formData.append("jobDescription", jd);
+    // An uploaded JD file takes precedence over pasted text
+    if (jdFile) {
+      formData.append("jobDescriptionFile", jdFile);
+    } else {
+      formData.append("jobDescription", jd);
+    }
 
     try {
       const { data } = await analyzeResume(formData);
       setResult(data.analysis);
+      setDocuments(data.documents || null);
     } catch (err) {
       console.error(err.response?.data || err.message);
       alert("Error analyzing resume. Please try again.");
@@ -157,7 +165,7 @@ export default function Home() {
             <input 
               type="file" 
               onChange={(e) => setResume(e.target.files[0])}
-              accept=".pdf,.doc,.docx"
+              accept=".pdf,.doc,.docx,.odt,.rtf,.txt,.md,.markdown,.html,.htm,.json"
               style={{ width: '100%', border: 'none', background: 'none', outline: 'none' }}
             />
             {resume && (
@@ -184,14 +192,30 @@ export default function Home() {
               ✓ {jd.split(' ').length} words entered
             </p>
           )}
+          <div style={{ ...fileInputStyle, marginTop: '15px' }}>
+            <p style={{ margin: '0 0 10px 0', color: '#4a5568', fontSize: '14px' }}>
+              …or upload the job description as a file
+            </p>
+            <input
+              type="file"
+              onChange={(e) => setJdFile(e.target.files[0] || null)}
+              accept=".pdf,.doc,.docx,.odt,.rtf,.txt,.md,.markdown,.html,.htm"
+              style={{ width: '100%', border: 'none', background: 'none', outline: 'none' }}
+            />
+            {jdFile && (
+              <p style={{ margin: '10px 0 0 0', color: '#48bb78', fontSize: '14px' }}>
+                ✓ {jdFile.name} selected{jd ? ' (used instead of the pasted text)' : ''}
+              </p>
+            )}
+          </div>
         </div>
 
         <button 
           onClick={handleSubmit} 
           style={buttonStyle}
-          disabled={isLoading || !resume || !jd}
+          disabled={isLoading || !resume || (!jd && !jdFile)}
           onMouseOver={(e) => {
-            if (!isLoading && resume && jd) {
+            if (!isLoading && resume && (jd || jdFile)) {
               e.target.style.transform = 'translateY(-2px)';
               e.target.style.boxShadow = '0 15px 25px rgba(102, 126, 234, 0.4)';
             }
@@ -206,7 +230,7 @@ export default function Home() {
 
         {result && (
           <div style={resultStyle}>
-            <ResultDashboard result={result} />
+            <ResultDashboard result={result} documents={documents} />
           </div>
         )}
       </div>